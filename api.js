@@ -0,0 +1,1092 @@
+// Request queue that keeps API calls inside each provider's rate limit
+const requestScheduler = {
+    limits: {
+        'api.coingecko.com': { capacity: 8, refillInterval: 6000 }, // About 10 calls a minute
+        default: { capacity: 20, refillInterval: 500 }
+    },
+    maxConcurrent: 3,
+    maxRetries: 4,
+    baseDelay: 2000,
+    maxDelay: 60000,
+    priorities: {
+        high: 0,    // Visible UI such as the price chart
+        normal: 1,
+        low: 2      // Background work such as the heatmap and trending coins
+    },
+
+    buckets: new Map(),
+    queue: [],
+    active: 0,
+    lastError: null,
+    timer: null,
+    sequence: 0,
+
+    fetch(url, { priority = 'normal', retries = this.maxRetries } = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                url,
+                host: new URL(url, document.baseURI).host,
+                priority: this.priorities[priority] ?? this.priorities.normal,
+                sequence: this.sequence++,
+                attempt: 0,
+                retries,
+                notBefore: 0,
+                resolve,
+                reject
+            });
+            this.pump();
+        });
+    },
+
+    // Token bucket for a host, topped up for the time since it was last used
+    bucket(host) {
+        const limit = this.limits[host] || this.limits.default;
+        const now = Date.now();
+
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, { ...limit, tokens: limit.capacity, lastRefill: now, pausedUntil: 0 });
+        }
+
+        const bucket = this.buckets.get(host);
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) / bucket.refillInterval);
+        bucket.lastRefill = now;
+        return bucket;
+    },
+
+    // How long a job has to wait before it may be sent
+    waitFor(job, now) {
+        const bucket = this.bucket(job.host);
+        const tokenWait = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) * bucket.refillInterval;
+        return Math.max(job.notBefore - now, bucket.pausedUntil - now, tokenWait, 0);
+    },
+
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        const ordered = [...this.queue].sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+
+        for (const job of ordered) {
+            if (this.active >= this.maxConcurrent) break;
+            if (this.waitFor(job, now) > 0) continue;
+
+            this.queue = this.queue.filter(item => item !== job);
+            this.bucket(job.host).tokens -= 1;
+            this.run(job);
+        }
+
+        if (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            const wait = Math.min(...this.queue.map(job => this.waitFor(job, now)));
+            this.timer = setTimeout(() => this.pump(), wait);
+        }
+
+        this.notify();
+    },
+
+    async run(job) {
+        this.active++;
+        this.notify();
+
+        try {
+            const response = await fetch(job.url);
+
+            if (response.status === 429) {
+                const delay = this.parseRetryAfter(response.headers.get('Retry-After')) ?? this.backoffDelay(job.attempt);
+                // The limit applies to the whole host, so hold everything queued for it
+                const bucket = this.bucket(job.host);
+                bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+                this.retry(job, response, 'Rate limited by the API');
+            } else if (response.status >= 500) {
+                this.retry(job, response, `Server error ${response.status}`);
+            } else {
+                this.lastError = null;
+                job.resolve(response);
+            }
+        } catch (error) {
+            this.retry(job, null, error.message, error);
+        } finally {
+            this.active--;
+            this.pump();
+        }
+    },
+
+    retry(job, response, reason, error) {
+        this.lastError = reason;
+
+        if (job.attempt >= job.retries) {
+            if (response) {
+                job.resolve(response);
+            } else {
+                job.reject(error);
+            }
+            return;
+        }
+
+        job.attempt++;
+        job.notBefore = Date.now() + this.backoffDelay(job.attempt);
+        this.queue.push(job);
+    },
+
+    // Exponential backoff with jitter so retries from several modules spread out
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    },
+
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    // Retry anything that was backing off because the network was down
+    resume() {
+        this.queue.forEach(job => {
+            job.notBefore = 0;
+        });
+        this.pump();
+    },
+
+    getState() {
+        const now = Date.now();
+        const paused = [...this.buckets.entries()].filter(([, bucket]) => bucket.pausedUntil > now);
+
+        let status = 'idle';
+        if (paused.length > 0) {
+            status = 'throttled';
+        } else if (this.queue.some(job => job.attempt > 0)) {
+            status = 'retrying';
+        } else if (this.active > 0 || this.queue.length > 0) {
+            status = 'busy';
+        }
+
+        return {
+            status,
+            queued: this.queue.length,
+            active: this.active,
+            throttledHosts: paused.map(([host]) => host),
+            resumesAt: paused.length > 0 ? Math.min(...paused.map(([, bucket]) => bucket.pausedUntil)) : null,
+            lastError: this.lastError
+        };
+    },
+
+    notify() {
+        document.dispatchEvent(new CustomEvent('requestQueueChanged', { detail: this.getState() }));
+    }
+};
+
+// Coin IDs on every provider, keyed by CoinGecko ID
+const coinMappings = {
+    coins: {
+        bitcoin: { symbol: 'btc', coincap: 'bitcoin' },
+        ethereum: { symbol: 'eth', coincap: 'ethereum' },
+        binancecoin: { symbol: 'bnb', coincap: 'binance-coin' },
+        solana: { symbol: 'sol', coincap: 'solana' },
+        cardano: { symbol: 'ada', coincap: 'cardano' },
+        ripple: { symbol: 'xrp', coincap: 'xrp' },
+        dogecoin: { symbol: 'doge', coincap: 'dogecoin' },
+        polkadot: { symbol: 'dot', coincap: 'polkadot' },
+        tron: { symbol: 'trx', coincap: 'tron' },
+        litecoin: { symbol: 'ltc', coincap: 'litecoin' },
+        chainlink: { symbol: 'link', coincap: 'chainlink' },
+        'avalanche-2': { symbol: 'avax', coincap: 'avalanche' },
+        'matic-network': { symbol: 'matic', coincap: 'polygon' },
+        'shiba-inu': { symbol: 'shib', coincap: 'shiba-inu' },
+        tether: { symbol: 'usdt', coincap: 'tether' },
+        'usd-coin': { symbol: 'usdc', coincap: 'usd-coin' }
+    },
+
+    // A symbol stays with the first coin that claims it, so register bigger coins first
+    register(coinId, symbol) {
+        const lower = symbol.toLowerCase();
+        if (!this.coins[coinId] && !this.fromSymbol(lower)) {
+            this.coins[coinId] = { symbol: lower };
+        }
+    },
+
+    symbolFor(coinId) {
+        return this.coins[coinId]?.symbol || null;
+    },
+
+    // Provider-specific ID, or null when we don't know how that provider names the coin
+    forProvider(coinId, provider) {
+        const coin = this.coins[coinId];
+
+        switch (provider) {
+            case 'coingecko':
+                return coinId;
+            case 'coincap':
+                return coin?.coincap || coinId;
+            case 'binance':
+                return coin ? coin.symbol.toUpperCase() : null;
+            default:
+                return null;
+        }
+    },
+
+    fromProvider(providerId, provider) {
+        const match = Object.entries(this.coins).find(([coinId]) => this.forProvider(coinId, provider) === providerId);
+        return match ? match[0] : providerId;
+    },
+
+    fromSymbol(symbol) {
+        const match = Object.entries(this.coins).find(([, coin]) => coin.symbol === symbol.toLowerCase());
+        return match ? match[0] : null;
+    }
+};
+
+// CoinGecko, the primary provider. Other providers return data in its response shapes.
+const coingeckoProvider = {
+    name: 'coingecko',
+    label: 'CoinGecko',
+    baseUrl: 'https://api.coingecko.com/api/v3',
+
+    get(path, params, request) {
+        return marketData.request(marketData.buildUrl(`${this.baseUrl}${path}`, params), request);
+    },
+
+    getPrices({ ids, vsCurrencies, include24hrChange, includeMarketCap, includeLastUpdatedAt }, request) {
+        return this.get('/simple/price', {
+            ids: ids.join(','),
+            vs_currencies: vsCurrencies.join(','),
+            include_market_cap: includeMarketCap,
+            include_24hr_change: include24hrChange,
+            include_last_updated_at: includeLastUpdatedAt
+        }, request);
+    },
+
+    getMarketChart({ coinId, vsCurrency, days }, request) {
+        return this.get(`/coins/${coinId}/market_chart`, { vs_currency: vsCurrency, days }, request);
+    },
+
+    getMarketChartRange({ coinId, vsCurrency, from, to }, request) {
+        return this.get(`/coins/${coinId}/market_chart/range`, {
+            vs_currency: vsCurrency,
+            from: Math.floor(from / 1000),
+            to: Math.floor(to / 1000)
+        }, request);
+    },
+
+    // [time, open, high, low, close] rows stamped with each candle's close time
+    getOhlc({ coinId, vsCurrency, days }, request) {
+        return this.get(`/coins/${coinId}/ohlc`, { vs_currency: vsCurrency, days }, request);
+    },
+
+    getMarkets({ vsCurrency, perPage, page, priceChangePercentage }, request) {
+        return this.get('/coins/markets', {
+            vs_currency: vsCurrency,
+            order: 'market_cap_desc',
+            per_page: perPage,
+            page,
+            sparkline: false,
+            price_change_percentage: priceChangePercentage
+        }, request);
+    },
+
+    getTrending(params, request) {
+        return this.get('/search/trending', {}, request);
+    },
+
+    getCoinList(params, request) {
+        return this.get('/coins/list', {}, request);
+    },
+
+    getGlobal(params, request) {
+        return this.get('/global', {}, request);
+    },
+
+    getCoin({ coinId }, request) {
+        return this.get(`/coins/${coinId}`, {
+            localization: false,
+            tickers: false,
+            market_data: true,
+            community_data: false,
+            developer_data: false,
+            sparkline: false
+        }, request);
+    }
+};
+
+// CoinCap v2. Quotes in USD, converted with its fiat rates when another currency is asked for.
+const coincapProvider = {
+    name: 'coincap',
+    label: 'CoinCap',
+    baseUrl: 'https://api.coincap.io/v2',
+    fiatIds: {
+        usd: 'united-states-dollar',
+        eur: 'euro',
+        gbp: 'british-pound-sterling'
+    },
+
+    async get(path, params, request) {
+        const body = await marketData.request(marketData.buildUrl(`${this.baseUrl}${path}`, params), request);
+        return body.data;
+    },
+
+    // Units of the currency per US dollar
+    async usdRate(currency, request) {
+        if (currency === 'usd') return 1;
+        if (!this.fiatIds[currency]) throw marketData.unsupported(`CoinCap has no rate for ${currency}`);
+
+        const rate = await this.get(`/rates/${this.fiatIds[currency]}`, {}, { ...request, ttl: marketData.ttl.global });
+        return 1 / Number(rate.rateUsd);
+    },
+
+    interval(span) {
+        const day = 24 * 60 * 60 * 1000;
+        if (span <= day) return 'm5';
+        if (span <= 90 * day) return 'h1';
+        return 'd1';
+    },
+
+    async getPrices({ ids, vsCurrencies, include24hrChange, includeMarketCap, includeLastUpdatedAt }, request) {
+        const assets = await this.get('/assets', {
+            ids: ids.map(id => coinMappings.forProvider(id, this.name)).join(',')
+        }, request);
+        const rates = await Promise.all(vsCurrencies.map(currency => this.usdRate(currency, request)));
+
+        return assets.reduce((acc, asset) => {
+            const entry = {};
+            vsCurrencies.forEach((currency, index) => {
+                entry[currency] = Number(asset.priceUsd) * rates[index];
+                if (include24hrChange) entry[`${currency}_24h_change`] = Number(asset.changePercent24Hr);
+                if (includeMarketCap) entry[`${currency}_market_cap`] = Number(asset.marketCapUsd) * rates[index];
+            });
+            if (includeLastUpdatedAt) entry.last_updated_at = Math.floor(Date.now() / 1000);
+
+            acc[coinMappings.fromProvider(asset.id, this.name)] = entry;
+            return acc;
+        }, {});
+    },
+
+    getMarketChart({ coinId, vsCurrency, days }, request) {
+        const to = Date.now();
+        const from = days === 'max' ? Date.UTC(2013, 0, 1) : to - days * 24 * 60 * 60 * 1000;
+        return this.getMarketChartRange({ coinId, vsCurrency, from, to }, request);
+    },
+
+    async getMarketChartRange({ coinId, vsCurrency, from, to }, request) {
+        const history = await this.get(`/assets/${coinMappings.forProvider(coinId, this.name)}/history`, {
+            interval: this.interval(to - from),
+            start: Math.floor(from),
+            end: Math.floor(to)
+        }, request);
+        const rate = await this.usdRate(vsCurrency, request);
+
+        return {
+            prices: history.map(point => [point.time, Number(point.priceUsd) * rate]),
+            market_caps: [],
+            total_volumes: []
+        };
+    },
+
+    async getMarkets({ vsCurrency, perPage, page }, request) {
+        const assets = await this.get('/assets', { limit: perPage, offset: (page - 1) * perPage }, request);
+        const rate = await this.usdRate(vsCurrency, request);
+
+        return assets.map(asset => ({
+            id: coinMappings.fromProvider(asset.id, this.name),
+            symbol: asset.symbol.toLowerCase(),
+            name: asset.name,
+            market_cap_rank: Number(asset.rank),
+            current_price: Number(asset.priceUsd) * rate,
+            market_cap: Number(asset.marketCapUsd) * rate,
+            total_volume: Number(asset.volumeUsd24Hr) * rate,
+            price_change_percentage_24h: Number(asset.changePercent24Hr),
+            price_change_percentage_7d: null,
+            price_change_percentage_30d: null
+        }));
+    },
+
+    // CoinCap only lists its top 2000 assets
+    async getCoinList(params, request) {
+        const assets = await this.get('/assets', { limit: 2000 }, request);
+        return assets.map(asset => ({
+            id: coinMappings.fromProvider(asset.id, this.name),
+            symbol: asset.symbol.toLowerCase(),
+            name: asset.name
+        }));
+    }
+};
+
+// Binance public market data. Prices come from spot pairs quoted in USDT, EUR or GBP.
+const binanceProvider = {
+    name: 'binance',
+    label: 'Binance',
+    baseUrl: 'https://api.binance.com/api/v3',
+    quotes: {
+        usd: 'USDT',
+        eur: 'EUR',
+        gbp: 'GBP'
+    },
+    maxKlines: 1000,
+    // Pairs found missing from Binance's symbol list, left out of later batches
+    unlisted: new Set(),
+
+    get(path, params, request) {
+        return marketData.request(marketData.buildUrl(`${this.baseUrl}${path}`, params), request);
+    },
+
+    pair(coinId, currency) {
+        const base = coinMappings.forProvider(coinId, this.name);
+        const quote = this.quotes[currency];
+        if (!base || !quote) throw marketData.unsupported(`Binance has no ${coinId}/${currency} pair`);
+        return `${base}${quote}`;
+    },
+
+    interval(span) {
+        const hour = 60 * 60 * 1000;
+        if (span <= 24 * hour) return { name: '5m', length: 5 * 60 * 1000 };
+        if (span <= 30 * 24 * hour) return { name: '1h', length: hour };
+        if (span <= 90 * 24 * hour) return { name: '4h', length: 4 * hour };
+        return { name: '1d', length: 24 * hour };
+    },
+
+    async getPrices({ ids, vsCurrencies, include24hrChange, includeMarketCap, includeLastUpdatedAt }, request) {
+        // Coins Binance doesn't list are left out rather than failing the whole batch
+        const pairs = ids.flatMap(id => vsCurrencies
+            .filter(currency => this.quotes[currency] && coinMappings.forProvider(id, this.name))
+            .map(currency => ({ id, currency, symbol: this.pair(id, currency) })));
+        if (pairs.length === 0) throw marketData.unsupported('Binance lists none of the requested pairs');
+
+        let listed = pairs.filter(pair => !this.unlisted.has(pair.symbol));
+        const getTickers = () => this.get('/ticker/24hr', {
+            symbols: JSON.stringify(listed.map(pair => pair.symbol))
+        }, request);
+
+        let tickers;
+        try {
+            if (listed.length === 0) throw marketData.unsupported('Binance lists none of the requested pairs');
+            tickers = await getTickers();
+        } catch (error) {
+            // One pair Binance doesn't list fails the whole batch and the error doesn't say which,
+            // so drop every pair missing from its symbol list and try once more
+            if (error.status !== 400) throw error;
+            const symbols = await this.listedSymbols(request);
+            listed.filter(pair => !symbols.has(pair.symbol)).forEach(pair => this.unlisted.add(pair.symbol));
+            listed = listed.filter(pair => symbols.has(pair.symbol));
+            if (listed.length === 0) throw marketData.unsupported('Binance lists none of the requested pairs');
+            tickers = await getTickers();
+        }
+
+        return pairs.reduce((acc, { id, currency, symbol }) => {
+            const ticker = tickers.find(item => item.symbol === symbol);
+            if (!ticker) return acc;
+
+            const entry = acc[id] || (acc[id] = {});
+            entry[currency] = Number(ticker.lastPrice);
+            if (include24hrChange) entry[`${currency}_24h_change`] = Number(ticker.priceChangePercent);
+            // Binance doesn't know supplies, so there is no market cap to report
+            if (includeMarketCap) entry[`${currency}_market_cap`] = null;
+            if (includeLastUpdatedAt) entry.last_updated_at = Math.floor(ticker.closeTime / 1000);
+            return acc;
+        }, {});
+    },
+
+    // Every symbol Binance trades, from its lightest endpoint that lists them all
+    async listedSymbols(request) {
+        const prices = await this.get('/ticker/price', {}, { ...request, ttl: marketData.ttl.coinList });
+        return new Set(prices.map(price => price.symbol));
+    },
+
+    // Candles for a time range, paging through the API's per-request limit
+    async getKlines(symbol, from, to, request, interval = this.interval(to - from)) {
+        const klines = [];
+        let start = Math.floor(from);
+
+        while (start < to) {
+            const page = await this.get('/klines', {
+                symbol,
+                interval: interval.name,
+                startTime: start,
+                endTime: Math.floor(to),
+                limit: this.maxKlines
+            }, request);
+
+            klines.push(...page);
+            if (page.length < this.maxKlines) break;
+            start = page[page.length - 1][0] + interval.length;
+        }
+
+        return klines;
+    },
+
+    getMarketChart({ coinId, vsCurrency, days }, request) {
+        const to = Date.now();
+        const from = days === 'max' ? Date.UTC(2017, 6, 14) : to - days * 24 * 60 * 60 * 1000;
+        return this.getMarketChartRange({ coinId, vsCurrency, from, to }, request);
+    },
+
+    async getMarketChartRange({ coinId, vsCurrency, from, to }, request) {
+        const klines = await this.getKlines(this.pair(coinId, vsCurrency), from, to, request);
+
+        return {
+            prices: klines.map(kline => [kline[0], Number(kline[4])]),
+            market_caps: [],
+            total_volumes: klines.map(kline => [kline[0], Number(kline[7])])
+        };
+    },
+
+    // CoinGecko's candle sizes where Binance has them, stamped with the close time like its rows
+    async getOhlc({ coinId, vsCurrency, days }, request) {
+        const to = Date.now();
+        const from = days === 'max' ? Date.UTC(2017, 6, 14) : to - days * 24 * 60 * 60 * 1000;
+        // Binance has no 4 day candles, 3 days is the closest
+        const candle = marketData.candleLength(to - from);
+        const interval = candle.name === '4d' ? { name: '3d', length: 3 * 24 * 60 * 60 * 1000 } : candle;
+        const klines = await this.getKlines(this.pair(coinId, vsCurrency), from, to, request, interval);
+
+        return klines.map(kline => [kline[6] + 1, ...kline.slice(1, 5).map(Number)]);
+    }
+};
+
+// Market data client shared by every module
+const marketData = {
+    providers: [coingeckoProvider, coincapProvider, binanceProvider],
+    cooldown: 60000,
+    batchDelay: 50,
+    ttl: {
+        prices: 30000,
+        chart: 60000,
+        markets: 60000,
+        trending: 300000,
+        global: 300000,
+        coin: 300000,
+        coinList: 24 * 60 * 60 * 1000
+    },
+
+    pricesStorageKey: 'lastKnownPrices',
+    cacheLimit: 200,
+
+    health: new Map(),
+    activeProvider: null,
+    staleSince: null,
+    cache: new Map(),
+    inFlight: new Map(),
+    priceCache: new Map(Object.entries(JSON.parse(localStorage.getItem('lastKnownPrices') || '{}'))),
+    priceBatch: null,
+    pendingPrices: [],
+
+    buildUrl(base, params = {}) {
+        const query = Object.entries(params)
+            .filter(([, value]) => value !== undefined && value !== null && value !== false)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+
+        return `${base}${query ? `?${query}` : ''}`;
+    },
+
+    // GET a JSON URL, reusing cached responses and in-flight requests for the same URL
+    async request(url, { ttl = 0, priority = 'normal', retries } = {}) {
+        const cached = this.cache.get(url);
+        if (cached && Date.now() - cached.time < ttl) {
+            return cached.data;
+        }
+
+        if (this.inFlight.has(url)) {
+            return this.inFlight.get(url);
+        }
+
+        const request = requestScheduler.fetch(url, { priority, retries })
+            .then(async response => {
+                if (!response.ok) {
+                    const error = new Error(`Request to ${new URL(url, document.baseURI).pathname} failed with status ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                const data = await response.json();
+                // Set by the service worker when it answered from its cache because we're offline
+                const cachedAt = Number(response.headers.get('sw-cached-at'));
+                if (cachedAt) {
+                    this.markStale(cachedAt);
+                } else {
+                    this.markFresh();
+                }
+
+                if (ttl > 0) {
+                    this.cache.delete(url);
+                    this.pruneCache();
+                    this.cache.set(url, { data, time: cachedAt || Date.now(), ttl });
+                }
+                return data;
+            })
+            .finally(() => this.inFlight.delete(url));
+
+        this.inFlight.set(url, request);
+        return request;
+    },
+
+    // Drops expired responses, then the oldest ones past the limit
+    pruneCache() {
+        const now = Date.now();
+        this.cache.forEach((entry, url) => {
+            if (now - entry.time >= entry.ttl) this.cache.delete(url);
+        });
+
+        const excess = [...this.cache.keys()].slice(0, Math.max(0, this.cache.size - this.cacheLimit + 1));
+        excess.forEach(url => this.cache.delete(url));
+    },
+
+    markStale(since) {
+        if (this.staleSince && this.staleSince <= since) return;
+
+        this.staleSince = since;
+        document.dispatchEvent(new CustomEvent('marketDataFreshness', { detail: { stale: true, since } }));
+    },
+
+    markFresh() {
+        if (!this.staleSince) return;
+
+        this.staleSince = null;
+        document.dispatchEvent(new CustomEvent('marketDataFreshness', { detail: { stale: false, since: null } }));
+    },
+
+    unsupported(message) {
+        const error = new Error(message);
+        error.unsupported = true;
+        return error;
+    },
+
+    isAvailable(provider) {
+        const health = this.health.get(provider.name);
+        return !health || health.downUntil <= Date.now();
+    },
+
+    // Try each provider that implements the method, skipping ones that recently failed.
+    // Only the last candidate gets the scheduler's full retry budget so failover stays quick.
+    // With `remaining`, a partial answer isn't the end: it returns the params for whatever the
+    // provider left out, which the next provider is asked for, and the answers are merged.
+    async callProvider(method, params, request, { remaining } = {}) {
+        const capable = this.providers.filter(provider => typeof provider[method] === 'function');
+        const available = capable.filter(provider => this.isAvailable(provider));
+        const candidates = available.length > 0 ? available : capable;
+        let lastError = null;
+        let result = null;
+        let pending = params;
+
+        for (const [index, provider] of candidates.entries()) {
+            const isLast = index === candidates.length - 1;
+
+            try {
+                const data = await provider[method](pending, { ...request, retries: isLast ? undefined : 1 });
+                this.health.delete(provider.name);
+                if (!remaining) {
+                    this.setActiveProvider(provider);
+                    return data;
+                }
+
+                if (!result) this.setActiveProvider(provider);
+                result = { ...result, ...data };
+                pending = remaining(pending, data);
+                if (!pending) return result;
+            } catch (error) {
+                lastError = error;
+                // Unknown coins and unsupported currencies say nothing about the provider's health
+                if (!error.unsupported && error.status !== 404 && error.status !== 400) {
+                    this.health.set(provider.name, { downUntil: Date.now() + this.cooldown, error: error.message });
+                    console.warn(`${provider.label} unavailable for ${method}:`, error.message);
+                }
+            }
+        }
+
+        if (result) return result;
+        throw lastError || new Error(`No market data provider supports ${method}`);
+    },
+
+    // The getPrices params for coins a response has no price for in one of the currencies
+    missingPrices(params, data) {
+        const ids = params.ids.filter(id => !params.vsCurrencies.every(currency => typeof data[id]?.[currency] === 'number'));
+        return ids.length > 0 ? { ...params, ids } : null;
+    },
+
+    setActiveProvider(provider) {
+        if (this.activeProvider === provider) return;
+
+        this.activeProvider = provider;
+        document.dispatchEvent(new CustomEvent('marketProviderChanged', {
+            detail: {
+                name: provider.name,
+                label: provider.label,
+                primary: provider === this.providers[0],
+                simulated: Boolean(provider.simulated)
+            }
+        }));
+    },
+
+    // Fields a /simple/price entry needs to satisfy the given options
+    priceFields(vsCurrencies, options) {
+        return vsCurrencies.flatMap(currency => [
+            currency,
+            options.include24hrChange ? `${currency}_24h_change` : null,
+            options.includeMarketCap ? `${currency}_market_cap` : null
+        ]).concat(options.includeLastUpdatedAt ? ['last_updated_at'] : []).filter(Boolean);
+    },
+
+    hasFields(entry, fields) {
+        return Boolean(entry) && fields.every(field => entry[field] !== undefined);
+    },
+
+    pickPrices(ids, fields) {
+        return ids.reduce((acc, id) => {
+            const entry = this.priceCache.get(id);
+            if (entry && this.hasFields(entry.data, fields)) {
+                acc[id] = entry.data;
+            }
+            return acc;
+        }, {});
+    },
+
+    // Prices in the /simple/price response shape. Calls made within batchDelay of each
+    // other are merged into one request for the union of their coins and fields.
+    getPrices(ids, options = {}) {
+        const coinIds = [...new Set([].concat(ids).filter(Boolean))];
+        const vsCurrencies = [].concat(options.vsCurrencies || 'usd');
+        const fields = this.priceFields(vsCurrencies, options);
+
+        if (coinIds.length === 0) return Promise.resolve({});
+
+        const fresh = coinIds.every(id => {
+            const entry = this.priceCache.get(id);
+            return entry && Date.now() - entry.time < this.ttl.prices && this.hasFields(entry.data, fields);
+        });
+        if (fresh) {
+            return Promise.resolve(this.pickPrices(coinIds, fields));
+        }
+
+        // Share a request that is already on its way and covers everything we need
+        const pending = this.pendingPrices.find(request =>
+            coinIds.every(id => request.ids.has(id)) && fields.every(field => request.fields.has(field))
+        );
+        if (pending) {
+            return pending.promise.then(() => this.pickPrices(coinIds, fields));
+        }
+
+        if (!this.priceBatch) {
+            this.priceBatch = {
+                ids: new Set(),
+                vsCurrencies: new Set(),
+                fields: new Set(),
+                include24hrChange: false,
+                includeMarketCap: false,
+                includeLastUpdatedAt: false,
+                priority: 'low'
+            };
+            this.priceBatch.promise = new Promise(resolve => {
+                setTimeout(() => resolve(this.flushPrices()), this.batchDelay);
+            });
+        }
+
+        const batch = this.priceBatch;
+        coinIds.forEach(id => batch.ids.add(id));
+        vsCurrencies.forEach(currency => batch.vsCurrencies.add(currency));
+        fields.forEach(field => batch.fields.add(field));
+        batch.include24hrChange = batch.include24hrChange || Boolean(options.include24hrChange);
+        batch.includeMarketCap = batch.includeMarketCap || Boolean(options.includeMarketCap);
+        batch.includeLastUpdatedAt = batch.includeLastUpdatedAt || Boolean(options.includeLastUpdatedAt);
+        batch.priority = this.higherPriority(batch.priority, options.priority || 'normal');
+
+        return batch.promise.then(() => this.pickPrices(coinIds, fields));
+    },
+
+    async flushPrices() {
+        const batch = this.priceBatch;
+        this.priceBatch = null;
+
+        const request = this.callProvider('getPrices', {
+            ids: [...batch.ids].sort(),
+            vsCurrencies: [...batch.vsCurrencies].sort(),
+            include24hrChange: batch.include24hrChange,
+            includeMarketCap: batch.includeMarketCap,
+            includeLastUpdatedAt: batch.includeLastUpdatedAt
+        }, { priority: batch.priority }, {
+            remaining: (params, data) => this.missingPrices(params, data)
+        }).then(data => {
+            const time = Date.now();
+            Object.entries(data).forEach(([id, values]) => {
+                const previous = this.priceCache.get(id);
+                this.priceCache.set(id, { data: { ...(previous && previous.data), ...values }, time });
+            });
+            localStorage.setItem(this.pricesStorageKey, JSON.stringify(Object.fromEntries(this.priceCache)));
+            tickHistory.recordPrices(data, [...batch.vsCurrencies], time);
+        }).catch(error => {
+            // Fall back to the last known prices when every coin has one
+            const known = [...batch.ids].map(id => this.priceCache.get(id));
+            if (known.some(entry => !entry || !this.hasFields(entry.data, [...batch.fields]))) throw error;
+
+            this.markStale(Math.min(...known.map(entry => entry.time)));
+        });
+
+        const pending = { ids: batch.ids, fields: batch.fields, promise: request };
+        this.pendingPrices.push(pending);
+
+        try {
+            await request;
+        } finally {
+            this.pendingPrices = this.pendingPrices.filter(item => item !== pending);
+        }
+    },
+
+    // Streamed prices (quoted in USDT) count as fresh usd quotes for getPrices
+    applyTicks(ticks) {
+        Object.values(ticks).forEach(({ coinId, price, change24h, time }) => {
+            const previous = this.priceCache.get(coinId);
+            const data = { ...(previous && previous.data), usd: price, last_updated_at: Math.floor(time / 1000) };
+            if (change24h !== undefined) data.usd_24h_change = change24h;
+
+            this.priceCache.set(coinId, { data, time: Date.now() });
+            tickHistory.record(coinId, 'usd', time, price);
+        });
+    },
+
+    higherPriority(a, b) {
+        const { priorities } = requestScheduler;
+        return priorities[a] <= priorities[b] ? a : b;
+    },
+
+    getMarketChart(coinId, { vsCurrency = 'usd', days = 30, priority = 'normal' } = {}) {
+        const to = Date.now();
+        const from = days === 'max' ? 0 : to - Number(days) * 24 * 60 * 60 * 1000;
+        return chartHistory.getRange(coinId, { vsCurrency, from, to, priority });
+    },
+
+    getMarketChartRange(coinId, { vsCurrency = 'usd', from, to, priority = 'normal' }) {
+        return chartHistory.getRange(coinId, { vsCurrency, from, to, priority });
+    },
+
+    // CoinGecko's OHLC granularity for a window
+    candleLength(span) {
+        const hour = 60 * 60 * 1000;
+        if (span <= 2 * 24 * hour) return { name: '30m', length: hour / 2 };
+        if (span <= 30 * 24 * hour) return { name: '4h', length: 4 * hour };
+        return { name: '4d', length: 4 * 24 * hour };
+    },
+
+    // Candles from a provider's OHLC endpoint, or built from the market_chart series when none
+    // of them has the coin
+    async getOhlc(coinId, { vsCurrency = 'usd', days = 30, priority = 'normal' } = {}) {
+        try {
+            return await this.callProvider('getOhlc', { coinId, vsCurrency, days }, { ttl: this.ttl.chart, priority });
+        } catch (error) {
+            console.warn(`No OHLC data for ${coinId}, building candles from prices:`, error.message);
+        }
+
+        const to = Date.now();
+        const from = days === 'max' ? 0 : to - Number(days) * 24 * 60 * 60 * 1000;
+        return this.getOhlcRange(coinId, { vsCurrency, from, to, priority });
+    },
+
+    // Candles for any window, built from the market_chart series with at least four samples
+    // in every candle. Providers only offer OHLC for windows ending now.
+    async getOhlcRange(coinId, { vsCurrency = 'usd', from, to, priority = 'normal' }) {
+        const span = to - from;
+        const length = Math.max(this.candleLength(span).length, 4 * chartHistory.granularityFor(span).interval);
+        const { prices } = await this.getMarketChartRange(coinId, { vsCurrency, from, to, priority });
+        return this.buildCandles(prices, length);
+    },
+
+    buildCandles(prices, length) {
+        return prices.reduce((candles, [time, price]) => {
+            const closeTime = Math.ceil(time / length) * length;
+            const last = candles[candles.length - 1];
+
+            if (last && last[0] === closeTime) {
+                last[2] = Math.max(last[2], price);
+                last[3] = Math.min(last[3], price);
+                last[4] = price;
+            } else {
+                // Each candle opens where the one before it closed
+                const open = last ? last[4] : price;
+                candles.push([closeTime, open, Math.max(open, price), Math.min(open, price), price]);
+            }
+            return candles;
+        }, []);
+    },
+
+    getMarkets({ vsCurrency = 'usd', perPage = 100, page = 1, priceChangePercentage } = {}, priority = 'normal') {
+        return this.callProvider('getMarkets', { vsCurrency, perPage, page, priceChangePercentage }, {
+            ttl: this.ttl.markets,
+            priority
+        });
+    },
+
+    getTrending(priority = 'normal') {
+        return this.callProvider('getTrending', {}, { ttl: this.ttl.trending, priority });
+    },
+
+    getGlobal(priority = 'normal') {
+        return this.callProvider('getGlobal', {}, { ttl: this.ttl.global, priority });
+    },
+
+    getCoin(coinId, priority = 'normal') {
+        return this.callProvider('getCoin', { coinId }, { ttl: this.ttl.coin, priority });
+    },
+
+    getCoinList(priority = 'low') {
+        return this.callProvider('getCoinList', {}, { ttl: this.ttl.coinList, priority });
+    }
+};
+
+// Historical series kept in IndexedDB per coin, currency and granularity. A request only
+// downloads the part of its window that isn't stored yet and merges it in.
+const chartHistory = {
+    storeName: 'series',
+    refreshAfter: 60000,
+    granularities: [
+        { name: '5m', span: 24 * 60 * 60 * 1000, interval: 5 * 60 * 1000, keep: 2 * 24 * 60 * 60 * 1000 },
+        { name: '1h', span: 90 * 24 * 60 * 60 * 1000, interval: 60 * 60 * 1000, keep: 120 * 24 * 60 * 60 * 1000 },
+        { name: '1d', span: Infinity, interval: 24 * 60 * 60 * 1000, keep: Infinity }
+    ],
+    fields: ['prices', 'market_caps', 'total_volumes'],
+
+    memory: new Map(),
+    locks: new Map(),
+
+    // Same thresholds CoinGecko uses to pick the granularity of market_chart data
+    granularityFor(span) {
+        return this.granularities.find(granularity => span <= granularity.span);
+    },
+
+    async getRange(coinId, { vsCurrency = 'usd', from, to, priority = 'normal' }) {
+        const granularity = this.granularityFor(to - from);
+        const key = `${coinId}:${vsCurrency}:${granularity.name}`;
+
+        const series = await this.withLock(key, async () => {
+            const stored = await this.load(key);
+            // A stored series that ends before the window starts would leave a gap, so start over
+            let record = stored && stored.to >= from ? stored : null;
+            let updated = false;
+
+            const missing = [];
+            if (!record) {
+                missing.push([from, to]);
+            } else {
+                if (from < record.from) missing.push([from, record.from]);
+                if (to - record.to > this.refreshAfter) missing.push([record.to, to]);
+            }
+
+            try {
+                for (const [start, end] of missing) {
+                    const data = await marketData.callProvider('getMarketChartRange', {
+                        coinId,
+                        vsCurrency,
+                        from: start,
+                        to: end
+                    }, { ttl: marketData.ttl.chart, priority });
+
+                    record = this.merge(record, data, { key, coinId, vsCurrency, granularity, start, end });
+                    updated = true;
+                }
+            } catch (error) {
+                // Offline or every provider is down: what we have stored beats an empty chart
+                record = record || stored;
+                if (!record) throw error;
+                marketData.markStale(record.updatedAt);
+            }
+
+            if (updated) {
+                this.prune(record, granularity, to);
+                await this.save(record);
+            }
+
+            return this.slice(record, from, to);
+        });
+
+        return tickHistory.mergeInto(series, { coinId, vsCurrency, from, to, interval: granularity.interval });
+    },
+
+    // Run one update per series at a time so concurrent callers reuse each other's downloads
+    withLock(key, task) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this.locks.set(key, next);
+        return next;
+    },
+
+    merge(record, data, { key, coinId, vsCurrency, granularity, start, end }) {
+        const merged = record || {
+            key,
+            coinId,
+            vsCurrency,
+            granularity: granularity.name,
+            from: start,
+            to: end,
+            prices: [],
+            market_caps: [],
+            total_volumes: []
+        };
+
+        this.fields.forEach(field => {
+            merged[field] = this.mergePoints(merged[field], data[field] || [], granularity.interval);
+        });
+        merged.from = Math.min(merged.from, start);
+        merged.to = Math.max(merged.to, end);
+        merged.updatedAt = Date.now();
+        return merged;
+    },
+
+    // Short ranges come back finer than the stored series, so keep the latest point per interval
+    mergePoints(existing, incoming, interval) {
+        const buckets = new Map();
+        [...existing, ...incoming].forEach(point => {
+            const bucket = Math.floor(point[0] / interval);
+            const current = buckets.get(bucket);
+            if (!current || point[0] >= current[0]) {
+                buckets.set(bucket, point);
+            }
+        });
+
+        return [...buckets.values()].sort((a, b) => a[0] - b[0]);
+    },
+
+    prune(record, granularity, now) {
+        if (granularity.keep === Infinity) return;
+
+        const cutoff = now - granularity.keep;
+        this.fields.forEach(field => {
+            record[field] = record[field].filter(([time]) => time >= cutoff);
+        });
+        record.from = Math.max(record.from, cutoff);
+    },
+
+    slice(record, from, to) {
+        return this.fields.reduce((acc, field) => {
+            acc[field] = record[field].filter(([time]) => time >= from && time <= to);
+            return acc;
+        }, {});
+    },
+
+    async load(key) {
+        if (this.memory.has(key)) return this.memory.get(key);
+
+        try {
+            const record = await localDb.get(this.storeName, key);
+            if (record) this.memory.set(key, record);
+            return record || null;
+        } catch (error) {
+            console.warn('Chart history unavailable:', error);
+            return null;
+        }
+    },
+
+    async save(record) {
+        this.memory.set(record.key, record);
+
+        try {
+            await localDb.put(this.storeName, record);
+        } catch (error) {
+            console.warn('Error saving chart history:', error);
+        }
+    }
+};
+
+// Pick up where we left off once the connection comes back
+window.addEventListener('online', () => {
+    marketData.health.clear();
+    requestScheduler.resume();
+});
@@ -0,0 +1,90 @@
+// Downloads of what a chart shows: a PNG of its canvases, or its visible rows as CSV or JSON.
+// Rows are plain objects, the first one's keys giving the CSV columns.
+const chartExport = {
+    // e.g. rz1crypto-bitcoin-usd-30d
+    fileName(...parts) {
+        const slug = parts
+            .filter(Boolean)
+            .map(part => String(part).toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, ''))
+            .join('-');
+        return `rz1crypto-${slug}`;
+    },
+
+    // A window that isn't a preset, e.g. 2024-01-01-to-2024-06-30
+    rangeName(from, to) {
+        const day = time => new Date(time).toISOString().slice(0, 10);
+        return `${day(from)}-to-${day(to)}`;
+    },
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.append(link);
+        link.click();
+        link.remove();
+        // Revoked on the next tick, once the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // The canvases stacked top to bottom on the theme's card background, since charts are
+    // drawn on a transparent one
+    async png(canvases, fileName) {
+        const visible = canvases.filter(canvas => canvas && canvas.width > 0 && canvas.height > 0);
+        if (visible.length === 0) return;
+
+        const image = document.createElement('canvas');
+        image.width = Math.max(...visible.map(canvas => canvas.width));
+        image.height = visible.reduce((height, canvas) => height + canvas.height, 0);
+
+        const ctx = image.getContext('2d');
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim();
+        ctx.fillRect(0, 0, image.width, image.height);
+
+        let top = 0;
+        visible.forEach(canvas => {
+            ctx.drawImage(canvas, 0, top);
+            top += canvas.height;
+        });
+
+        const blob = await new Promise(resolve => image.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('The chart could not be turned into an image');
+        this.download(blob, `${fileName}.png`);
+    },
+
+    csv(rows, fileName) {
+        const columns = Object.keys(rows[0] || {});
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(values => values.map(cell).join(','));
+
+        this.download(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), `${fileName}.csv`);
+    },
+
+    json(data, fileName) {
+        this.download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${fileName}.json`);
+    },
+
+    // Exports in one of the formats, alerting when it fails
+    async save(format, { canvases, rows, meta, fileName }) {
+        try {
+            if (format === 'png') {
+                await this.png(canvases, fileName);
+            } else if (rows.length === 0) {
+                alert('There is no data in view to export');
+            } else if (format === 'csv') {
+                this.csv(rows, fileName);
+            } else {
+                this.json({ ...meta, exportedAt: new Date().toISOString(), rows }, fileName);
+            }
+        } catch (error) {
+            console.error('Error exporting chart:', error);
+            alert('Failed to export the chart. Please try again.');
+        }
+    }
+};
@@ -0,0 +1,1426 @@
+// One price chart with its own coin, timeframe, view and indicators, built from a copy of the
+// #chartPaneTemplate markup. cryptoChart in script.js lays out one to four of them.
+function createChartPane(root, { id, state = {}, onChange = () => {}, onActivate = () => {}, onHover = () => {} } = {}) {
+    const pane = {
+        root,
+        active: false,
+        currentData: null,
+        chart: null,
+        panels: new Map(),
+        data: null,
+        range: null,
+        renderedLayout: null,
+        requestId: 0,
+        axisWidth: 70,
+        maxCompareCoins: 6,
+        minZoomRange: 60 * 60 * 1000,
+        viewportTimer: null,
+        draft: null,
+        elements: {
+            chartCanvas: root.querySelector('.price-canvas'),
+            chartWrapper: root.querySelector('.chart-wrapper'),
+            errorMessage: root.querySelector('.error-message'),
+            // The price stats are shared by every pane and show the active one
+            currentPrice: document.getElementById('currentPrice'),
+            priceChange: document.getElementById('priceChange'),
+            lastUpdated: document.getElementById('lastUpdated'),
+            coinButtons: root.querySelectorAll('.coin-btn'),
+            timeButtons: root.querySelectorAll('.time-btn'),
+            viewButtons: root.querySelectorAll('.view-btn'),
+            indicatorControls: root.querySelector('.indicator-controls'),
+            indicatorOptions: root.querySelector('.indicator-options'),
+            indicatorPanels: root.querySelector('.indicator-panels'),
+            compareControls: root.querySelector('.compare-controls'),
+            compareList: root.querySelector('.compare-list'),
+            compareCoin: root.querySelector('.compare-coin'),
+            compareLabel: root.querySelector('.compare-add label'),
+            rangeFrom: root.querySelector('.range-from'),
+            rangeTo: root.querySelector('.range-to'),
+            rangeApply: root.querySelector('.range-apply'),
+            zoomReset: root.querySelector('.range-reset'),
+            logScale: root.querySelector('.range-log'),
+            drawingControls: root.querySelector('.drawing-controls'),
+            drawingTools: root.querySelector('.drawing-tools'),
+            drawingList: root.querySelector('.drawing-list'),
+            clearDrawings: root.querySelector('.drawing-clear'),
+            exportButtons: root.querySelectorAll('.export-btn'),
+            tradeTooltip: root.querySelector('.trade-tooltip')
+        },
+
+        state: {
+            currentCoin: state.coin || 'bitcoin',
+            currentDays: state.days || '30',
+            view: ['candle', 'compare'].includes(state.view) ? state.view : 'line',
+            indicators: null,
+            compareCoins: state.compareCoins || ['ethereum', 'solana'],
+            // { from, to } when a date range is picked or the chart is zoomed, instead of currentDays
+            dateRange: state.dateRange || null,
+            logScale: Boolean(state.logScale),
+            drawingTool: null,
+            drawings: [],
+            hoveredTrade: null
+        },
+
+        async fetchPriceData(coin) {
+            const { currentDays, dateRange } = this.state;
+
+            try {
+                if (dateRange) {
+                    return await marketData.getMarketChartRange(coin, {
+                        vsCurrency: quoteCurrency.current,
+                        from: dateRange.from,
+                        to: dateRange.to,
+                        priority: 'high'
+                    });
+                }
+                return await marketData.getMarketChart(coin, {
+                    vsCurrency: quoteCurrency.current,
+                    days: currentDays,
+                    priority: 'high'
+                });
+            } catch (error) {
+                console.error('Error fetching price data:', error);
+                return { prices: [], total_volumes: [] };
+            }
+        },
+
+        async fetchOhlcData(coin) {
+            const { currentDays, dateRange } = this.state;
+
+            try {
+                if (dateRange) {
+                    return await marketData.getOhlcRange(coin, {
+                        vsCurrency: quoteCurrency.current,
+                        from: dateRange.from,
+                        to: dateRange.to,
+                        priority: 'high'
+                    });
+                }
+                return await marketData.getOhlc(coin, {
+                    vsCurrency: quoteCurrency.current,
+                    days: currentDays,
+                    priority: 'high'
+                });
+            } catch (error) {
+                console.error('Error fetching OHLC data:', error);
+                return [];
+            }
+        },
+
+        // Price series of every other coin being compared with the selected one
+        async fetchComparisons() {
+            const comparisons = await Promise.all(this.comparedCoins().slice(1).map(async coinId => ({
+                coinId,
+                series: await this.fetchPriceData(coinId)
+            })));
+            return comparisons.filter(({ series }) => series.prices.length > 0);
+        },
+
+        async fetchCurrentData(coin) {
+            try {
+                const data = await marketData.getPrices(coin, {
+                    vsCurrencies: [quoteCurrency.current],
+                    include24hrChange: true,
+                    includeLastUpdatedAt: true,
+                    priority: 'high'
+                });
+                return data[coin];
+            } catch (error) {
+                console.error('Error fetching current data:', error);
+                return null;
+            }
+        },
+
+        formatTimestamp(timestamp) {
+            const date = new Date(timestamp);
+            return date.toLocaleString();
+        },
+
+        formatPrice(price) {
+            return quoteCurrency.format(price);
+        },
+
+        formatVolume(value) {
+            if (value >= 1e9) return (value / 1e9).toFixed(1) + 'B';
+            if (value >= 1e6) return (value / 1e6).toFixed(1) + 'M';
+            if (value >= 1e3) return (value / 1e3).toFixed(1) + 'K';
+            return value;
+        },
+
+        formatPriceChange(change) {
+            const formatted = new Intl.NumberFormat('en-US', {
+                style: 'percent',
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }).format(change / 100);
+        
+            return change >= 0 ? `+${formatted}` : formatted;
+        },
+
+        // Only the active pane writes the shared price stats
+        updatePriceInfo(currentData = this.currentData) {
+            this.currentData = currentData;
+            if (!currentData || !this.active) return;
+
+            const currency = quoteCurrency.current;
+            this.elements.currentPrice.textContent = this.formatPrice(currentData[currency]);
+        
+            const change = currentData[`${currency}_24h_change`];
+            this.elements.priceChange.textContent = this.formatPriceChange(change);
+            this.elements.priceChange.className = change >= 0 ? 'positive' : 'negative';
+        
+            const lastUpdated = new Date(currentData.last_updated_at * 1000);
+            this.elements.lastUpdated.textContent = lastUpdated.toLocaleString();
+        },
+
+        candleColors() {
+            const style = getComputedStyle(document.documentElement);
+            return {
+                up: style.getPropertyValue('--success-color').trim(),
+                down: style.getPropertyValue('--error-color').trim(),
+                unchanged: style.getPropertyValue('--text-secondary').trim()
+            };
+        },
+
+        priceDataset(view) {
+            if (view === 'candle') {
+                return {
+                    type: 'candlestick',
+                    label: 'Price',
+                    data: [],
+                    backgroundColors: this.candleColors(),
+                    borderColors: this.candleColors(),
+                    yAxisID: 'price'
+                };
+            }
+
+            return {
+                type: 'line',
+                label: 'Price',
+                data: [],
+                borderColor: getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim(),
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                pointRadius: 0,
+                yAxisID: 'price'
+            };
+        },
+
+        tooltipLabel(context) {
+            if (context.dataset.comparison) {
+                return `${context.dataset.label}: ${this.formatPriceChange(context.parsed.y)}`;
+            }
+            if (context.dataset.yAxisID === 'volume') {
+                return `Volume: ${quoteCurrency.symbol()}${this.formatVolume(context.parsed.y)}`;
+            }
+            if (context.dataset.type === 'candlestick') {
+                const { o, h, l, c } = context.raw;
+                return [
+                    `Open: ${this.formatPrice(o)}`,
+                    `High: ${this.formatPrice(h)}`,
+                    `Low: ${this.formatPrice(l)}`,
+                    `Close: ${this.formatPrice(c)}`
+                ];
+            }
+            return `${context.dataset.label}: ${this.formatPrice(context.parsed.y)}`;
+        },
+
+        tooltipStyle() {
+            const style = getComputedStyle(document.documentElement);
+            return {
+                backgroundColor: style.getPropertyValue('--card-bg').trim(),
+                titleColor: style.getPropertyValue('--text-color').trim(),
+                bodyColor: style.getPropertyValue('--text-color').trim(),
+                borderColor: style.getPropertyValue('--border-color').trim(),
+                borderWidth: 1,
+                padding: 12,
+                displayColors: false
+            };
+        },
+
+        paletteColor(index) {
+            return getComputedStyle(document.documentElement).getPropertyValue(`--chart-color-${index}`).trim();
+        },
+
+        // Dashed vertical line at the hovered time, drawn on the price chart and every panel
+        crosshairPlugin: {
+            id: 'crosshair',
+            afterDraw(chart) {
+                if (chart.crosshairX === undefined || chart.crosshairX === null) return;
+
+                const { ctx, chartArea } = chart;
+                ctx.save();
+                ctx.strokeStyle = Chart.defaults.color;
+                ctx.globalAlpha = 0.4;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(chart.crosshairX, chartArea.top);
+                ctx.lineTo(chart.crosshairX, chartArea.bottom);
+                ctx.stroke();
+                ctx.restore();
+            }
+        },
+
+        // Hovering any of the charts moves the crosshair and tooltip on all of them. Other panes
+        // may follow the crosshair too.
+        syncHover(source, event) {
+            const time = event.type === 'mouseout' ? null : source.scales.x.getValueForPixel(event.x);
+            onHover(this, time);
+
+            this.charts().forEach(chart => {
+                chart.crosshairX = time === null ? null : chart.scales.x.getPixelForValue(time);
+                if (chart === source) {
+                    chart.draw();
+                    return;
+                }
+
+                const active = time === null ? [] : this.elementsAt(chart, time);
+                chart.setActiveElements(active);
+                chart.tooltip.setActiveElements(active, { x: chart.crosshairX || 0, y: chart.chartArea.top });
+                chart.update('none');
+            });
+        },
+
+        charts() {
+            return [this.chart, ...this.panels.values()].filter(Boolean);
+        },
+
+        // Crosshair only, at a time hovered in another pane. Nothing shows outside this window.
+        showCrosshair(time) {
+            this.charts().forEach(chart => {
+                const x = time === null ? NaN : chart.scales.x.getPixelForValue(time);
+                chart.crosshairX = x >= chart.chartArea.left && x <= chart.chartArea.right ? x : null;
+                chart.draw();
+            });
+        },
+
+        // Points of every dataset at the sample nearest to a time
+        elementsAt(chart, time) {
+            const points = chart.data.datasets[0].data;
+            if (points.length === 0) return [];
+
+            let index = 0;
+            points.forEach((point, i) => {
+                if (Math.abs(point.x - time) < Math.abs(points[index].x - time)) index = i;
+            });
+
+            return chart.data.datasets
+                .map((dataset, datasetIndex) => ({ datasetIndex, index, point: dataset.data[index] }))
+                .filter(({ point }) => point && point.y !== null)
+                .map(({ datasetIndex }) => ({ datasetIndex, index }));
+        },
+
+        // Value of a [time, value] series at each of the given times: the latest sample at or before it
+        sampleAt(points, times) {
+            let index = -1;
+            return times.map(time => {
+                while (index + 1 < points.length && points[index + 1][0] <= time) index++;
+                return index >= 0 ? points[index][1] : null;
+            });
+        },
+
+        enabledIndicators(type) {
+            return indicators.definitions.filter(definition =>
+                definition.type === type && this.state.indicators[definition.id].enabled
+            );
+        },
+
+        indicatorDatasets(definition, series, times, yAxisID) {
+            const style = getComputedStyle(document.documentElement);
+
+            return indicators.compute(definition.id, this.state.indicators[definition.id], series).map(line => {
+                const values = this.sampleAt(series.prices.map(([time], index) => [time, line.values[index]]), times);
+                const data = times.map((x, index) => ({ x, y: values[index] }));
+
+                if (line.kind === 'bar') {
+                    return {
+                        type: 'bar',
+                        label: line.label,
+                        data,
+                        backgroundColor: style.getPropertyValue('--secondary-color').trim() + '40',
+                        yAxisID
+                    };
+                }
+                if (line.kind === 'histogram') {
+                    return {
+                        type: 'bar',
+                        label: line.label,
+                        data,
+                        backgroundColor: values.map(value => style.getPropertyValue(
+                            value >= 0 ? '--success-color' : '--error-color'
+                        ).trim() + '80'),
+                        yAxisID
+                    };
+                }
+                return {
+                    type: 'line',
+                    label: line.label,
+                    data,
+                    borderColor: this.paletteColor(line.color || definition.color),
+                    backgroundColor: 'transparent',
+                    borderWidth: 1.5,
+                    borderDash: line.dashed ? [4, 4] : [],
+                    pointRadius: 0,
+                    yAxisID
+                };
+            });
+        },
+
+        initChart(view) {
+            const ctx = this.elements.chartCanvas.getContext('2d');
+        
+            // Set default styles for the chart
+            Chart.defaults.color = getComputedStyle(document.documentElement).getPropertyValue('--text-color').trim();
+            Chart.defaults.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
+        
+            // Volume moves to its own panel when that is turned on, and comparisons have none
+            const compare = view === 'compare';
+            const volumePanel = this.state.indicators.volume.enabled || compare;
+
+            const chart = new Chart(ctx, {
+                type: view === 'candle' ? 'candlestick' : 'line',
+                data: {
+                    datasets: [this.priceDataset(view), {
+                        label: 'Volume',
+                        data: [],
+                        type: 'bar',
+                        backgroundColor: getComputedStyle(document.documentElement).getPropertyValue('--secondary-color').trim() + '40',
+                        borderColor: 'transparent',
+                        yAxisID: 'volume',
+                        hidden: volumePanel
+                    }]
+                },
+                // Drawings and trades are anchored to prices, which a comparison doesn't have
+                plugins: compare ? [this.crosshairPlugin] : [this.crosshairPlugin, {
+                    id: 'drawings',
+                    afterDatasetsDraw: chart => chartDrawings.draw(chart, this.visibleDrawings())
+                }, {
+                    id: 'trades',
+                    afterDatasetsDraw: chart => tradeMarkers.draw(chart, this.trades(), this.state.hoveredTrade)
+                }],
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: {
+                        intersect: false,
+                        mode: 'index'
+                    },
+                    onHover: (event, elements, chart) => {
+                        this.hoverTrade(chart, event);
+                        this.syncHover(chart, event);
+                    },
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        zoom: {
+                            limits: {
+                                x: { minRange: this.minZoomRange }
+                            },
+                            pan: {
+                                // Dragging draws instead while a drawing tool is picked
+                                enabled: !this.state.drawingTool,
+                                mode: 'x',
+                                onPan: ({ chart }) => this.syncRange(chart),
+                                onPanComplete: ({ chart }) => this.changeViewport(chart)
+                            },
+                            zoom: {
+                                wheel: { enabled: true },
+                                pinch: { enabled: true },
+                                mode: 'x',
+                                onZoom: ({ chart }) => this.syncRange(chart),
+                                onZoomComplete: ({ chart }) => this.changeViewport(chart)
+                            }
+                        },
+                        tooltip: {
+                            ...this.tooltipStyle(),
+                            displayColors: compare,
+                            // A hovered trade marker shows its own details instead
+                            filter: () => !this.state.hoveredTrade,
+                            itemSort: (a, b) => compare ? b.parsed.y - a.parsed.y : 0,
+                            callbacks: {
+                                label: context => this.tooltipLabel(context)
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            type: 'time',
+                            offset: false,
+                            time: {
+                                tooltipFormat: 'MMM dd, yyyy HH:mm'
+                            },
+                            grid: {
+                                display: false
+                            },
+                            ticks: {
+                                maxRotation: 0
+                            }
+                        },
+                        price: {
+                            type: this.state.logScale && !compare ? 'logarithmic' : 'linear',
+                            position: 'left',
+                            // Same width on every chart so the panels line up with the prices
+                            afterFit: scale => {
+                                scale.width = this.axisWidth;
+                            },
+                            grid: {
+                                color: getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim() + '20'
+                            },
+                            ticks: {
+                                callback: value => compare
+                                    ? this.formatPriceChange(value)
+                                    : quoteCurrency.format(value, { minimumFractionDigits: 0 })
+                            }
+                        },
+                        volume: {
+                            position: 'right',
+                            display: !volumePanel,
+                            afterFit: scale => {
+                                scale.width = this.axisWidth;
+                            },
+                            grid: {
+                                display: false
+                            },
+                            ticks: {
+                                callback: value => this.formatVolume(value)
+                            }
+                        }
+                    }
+                }
+            });
+        
+            return chart;
+        },
+
+        initPanel(definition, canvas, datasets) {
+            return new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: { datasets },
+                plugins: [this.crosshairPlugin],
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    layout: {
+                        padding: {
+                            right: this.state.indicators.volume.enabled ? 0 : this.axisWidth
+                        }
+                    },
+                    interaction: {
+                        intersect: false,
+                        mode: 'index'
+                    },
+                    onHover: (event, elements, chart) => this.syncHover(chart, event),
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        tooltip: {
+                            ...this.tooltipStyle(),
+                            callbacks: {
+                                label: context => this.panelTooltipLabel(definition, context)
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            type: 'time',
+                            min: this.range[0],
+                            max: this.range[1],
+                            offset: false,
+                            time: {
+                                tooltipFormat: 'MMM dd, yyyy HH:mm'
+                            },
+                            grid: {
+                                display: false
+                            },
+                            ticks: {
+                                display: false
+                            }
+                        },
+                        y: {
+                            position: 'left',
+                            min: definition.id === 'rsi' ? 0 : undefined,
+                            max: definition.id === 'rsi' ? 100 : undefined,
+                            afterFit: scale => {
+                                scale.width = this.axisWidth;
+                            },
+                            grid: {
+                                color: getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim() + '20'
+                            },
+                            ticks: {
+                                maxTicksLimit: 4,
+                                callback: value => definition.id === 'volume' ? this.formatVolume(value) : value
+                            }
+                        }
+                    }
+                }
+            });
+        },
+
+        panelTooltipLabel(definition, context) {
+            const value = context.parsed.y;
+            if (value === null) return '';
+            if (definition.id === 'volume') {
+                return `${context.dataset.label}: ${quoteCurrency.symbol()}${this.formatVolume(value)}`;
+            }
+            return `${context.dataset.label}: ${Number(value.toPrecision(4))}`;
+        },
+
+        // Candles when there are any, otherwise the price line
+        createChart(series, candles) {
+            if (this.chart) {
+                this.chart.destroy();
+            }
+
+            this.chart = this.initChart(candles && candles.length > 0 ? 'candle' : 'line');
+            this.fillChart(series, candles);
+            this.chart.update();
+        },
+
+        // Volume bars and overlays are sampled at the candle times so the tooltip lines up with
+        // the hovered candle
+        fillChart(series, candles) {
+            const candleView = candles && candles.length > 0;
+            const times = candleView ? candles.map(([time]) => time) : series.prices.map(([time]) => time);
+            this.setRange(this.chart, times);
+
+            const [price, volume, ...overlays] = this.chart.data.datasets;
+            price.data = candleView
+                ? candles.map(([x, o, h, l, c]) => ({ x, o, h, l, c }))
+                : series.prices.map(([x, y]) => ({ x, y }));
+            volume.data = this.sampleAt(series.total_volumes, times).map((y, index) => ({ x: times[index], y }));
+
+            const lines = this.enabledIndicators('overlay').flatMap(definition =>
+                this.indicatorDatasets(definition, series, times, 'price')
+            );
+            this.chart.data.datasets = [price, volume, ...this.mergeDatasets(overlays, lines)];
+        },
+
+        createComparisonChart(series, comparisons) {
+            if (this.chart) {
+                this.chart.destroy();
+            }
+
+            this.chart = this.initChart('compare');
+            this.chart.data.datasets = [];
+            this.fillComparisonChart(series, comparisons);
+            this.chart.update();
+        },
+
+        // Every coin rebased to 0% at the start of the window. They are sampled at the selected
+        // coin's times so the tooltip lists all of them for the hovered time.
+        fillComparisonChart(series, comparisons) {
+            const times = series.prices.map(([time]) => time);
+            this.setRange(this.chart, times);
+
+            const lines = [{ coinId: this.state.currentCoin, series }, ...comparisons];
+            this.chart.data.datasets = this.mergeDatasets(this.chart.data.datasets, lines.map(({ coinId, series: coinSeries }, index) => {
+                const prices = this.sampleAt(coinSeries.prices, times);
+                const base = prices.find(price => price !== null);
+
+                return {
+                    type: 'line',
+                    label: this.coinLabel(coinId),
+                    data: times.map((x, i) => ({ x, y: prices[i] === null ? null : (prices[i] / base - 1) * 100 })),
+                    borderColor: this.compareColor(index),
+                    backgroundColor: this.compareColor(index),
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'price',
+                    comparison: true
+                };
+            }));
+        },
+
+        setRange(chart, times) {
+            this.range = [times[0], times[times.length - 1]];
+            chart.options.scales.x.min = this.range[0];
+            chart.options.scales.x.max = this.range[1];
+        },
+
+        // Chart.js keeps its state per dataset object, so new data goes into the ones on screen
+        mergeDatasets(current, datasets) {
+            return datasets.map((dataset, index) => current[index] ? Object.assign(current[index], dataset) : dataset);
+        },
+
+        // The selected coin first, then the ones added for comparison
+        comparedCoins() {
+            const others = this.state.compareCoins.filter(coinId => coinId !== this.state.currentCoin);
+            return [this.state.currentCoin, ...others];
+        },
+
+        compareColor(index) {
+            if (index === 0) {
+                return getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
+            }
+            return this.paletteColor((index - 1) % this.maxCompareCoins + 1);
+        },
+
+        coinLabel(coinId) {
+            return (coinRegistry.get(coinId)?.symbol || coinMappings.symbolFor(coinId) || coinId).toUpperCase();
+        },
+
+        renderCompareList() {
+            const list = this.elements.compareList;
+            if (!list) return;
+
+            list.innerHTML = '';
+            this.comparedCoins().forEach((coinId, index) => {
+                const item = document.createElement('li');
+                item.className = 'compare-chip';
+
+                const swatch = document.createElement('span');
+                swatch.className = 'compare-swatch';
+                swatch.style.background = this.compareColor(index);
+
+                const label = document.createElement('span');
+                label.textContent = this.coinLabel(coinId);
+                item.append(swatch, label);
+
+                // The selected coin is changed with the coin buttons instead
+                if (index > 0) {
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.className = 'compare-remove';
+                    remove.dataset.coin = coinId;
+                    remove.setAttribute('aria-label', `Remove ${label.textContent} from comparison`);
+                    remove.innerHTML = '<i class="fas fa-times"></i>';
+                    item.append(remove);
+                }
+                list.append(item);
+            });
+
+            if (this.comparePicker) {
+                this.comparePicker.input.disabled = this.comparedCoins().length > this.maxCompareCoins;
+            }
+        },
+
+        addCompareCoin(coinId) {
+            if (coinId && !this.comparedCoins().includes(coinId)) {
+                this.state.compareCoins.push(coinId);
+                this.saveCompareCoins();
+            }
+            this.comparePicker.setValue('');
+        },
+
+        removeCompareCoin(coinId) {
+            this.state.compareCoins = this.state.compareCoins.filter(id => id !== coinId);
+            this.saveCompareCoins();
+        },
+
+        saveCompareCoins() {
+            onChange(this);
+            this.renderCompareList();
+            this.updateChart();
+        },
+
+        clearPanels() {
+            this.panels.forEach(panel => panel.destroy());
+            this.panels.clear();
+            if (this.elements.indicatorPanels) this.elements.indicatorPanels.innerHTML = '';
+        },
+
+        // One chart per enabled panel indicator under the price chart, on the same time range
+        renderPanels(series) {
+            this.clearPanels();
+
+            const container = this.elements.indicatorPanels;
+            if (!container) return;
+
+            const times = series.prices.map(([time]) => time);
+            this.enabledIndicators('panel').forEach(definition => {
+                const panel = document.createElement('div');
+                panel.className = 'indicator-panel';
+
+                const label = document.createElement('span');
+                label.className = 'indicator-panel-label';
+                label.textContent = definition.label;
+
+                const canvas = document.createElement('canvas');
+                panel.append(label, canvas);
+                container.append(panel);
+
+                const datasets = this.indicatorDatasets(definition, series, times, 'y');
+                this.panels.set(definition.id, this.initPanel(definition, canvas, datasets));
+            });
+        },
+
+        fillPanels(series) {
+            const times = series.prices.map(([time]) => time);
+            this.enabledIndicators('panel').forEach(definition => {
+                const panel = this.panels.get(definition.id);
+                if (!panel) return;
+
+                panel.data.datasets = this.mergeDatasets(panel.data.datasets, this.indicatorDatasets(definition, series, times, 'y'));
+                this.setRange(panel, times);
+                panel.update('none');
+            });
+        },
+
+        visibleDrawings() {
+            return this.draft ? [...this.state.drawings, this.draft] : this.state.drawings;
+        },
+
+        renderDrawingTools() {
+            const container = this.elements.drawingTools;
+            if (!container) return;
+
+            container.innerHTML = chartDrawings.tools.map(tool => `
+                <button class="drawing-tool" data-tool="${tool.id}" title="${tool.label}"
+                    aria-label="${tool.label}" aria-pressed="false">
+                    <i class="fas ${tool.icon}"></i>
+                </button>
+            `).join('');
+        },
+
+        // Picking the active tool again puts it down
+        setDrawingTool(tool) {
+            this.state.drawingTool = this.state.drawingTool === tool ? null : tool;
+            this.draft = null;
+
+            this.elements.drawingTools.querySelectorAll('[data-tool]').forEach(button => {
+                const active = button.dataset.tool === this.state.drawingTool;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+            this.elements.chartCanvas.classList.toggle('drawing', Boolean(this.state.drawingTool));
+
+            if (this.chart) {
+                this.chart.options.plugins.zoom.pan.enabled = !this.state.drawingTool;
+                this.chart.update('none');
+            }
+        },
+
+        // Time and price under the pointer, or null outside the plot area
+        pointAt(event) {
+            if (!this.chart || !this.chart.scales.price) return null;
+
+            const { chartArea, scales } = this.chart;
+            const bounds = this.elements.chartCanvas.getBoundingClientRect();
+            const x = event.clientX - bounds.left;
+            const y = event.clientY - bounds.top;
+            if (x < chartArea.left || x > chartArea.right || y < chartArea.top || y > chartArea.bottom) return null;
+
+            return { time: Math.round(scales.x.getValueForPixel(x)), price: scales.price.getValueForPixel(y) };
+        },
+
+        startDrawing(event) {
+            const tool = this.state.drawingTool;
+            const point = tool && this.state.view !== 'compare' ? this.pointAt(event) : null;
+            if (!point) return;
+
+            event.preventDefault();
+            if (tool === 'hline') {
+                this.addDrawing(chartDrawings.create(tool, [point]));
+            } else if (tool === 'text') {
+                const text = prompt('Note text');
+                if (text && text.trim()) this.addDrawing(chartDrawings.create(tool, [point], { text: text.trim() }));
+            } else {
+                this.draft = chartDrawings.create(tool, [point, point]);
+                this.elements.chartCanvas.setPointerCapture(event.pointerId);
+            }
+        },
+
+        moveDrawing(event) {
+            if (!this.draft) return;
+
+            const point = this.pointAt(event);
+            if (point) {
+                this.draft.points[1] = point;
+                this.chart.draw();
+            }
+        },
+
+        // A click without dragging leaves nothing behind
+        finishDrawing() {
+            if (!this.draft) return;
+
+            const drawing = this.draft;
+            this.draft = null;
+            const [start, end] = drawing.points;
+            if (start.time !== end.time || start.price !== end.price) {
+                this.addDrawing(drawing);
+            } else {
+                this.chart.draw();
+            }
+        },
+
+        addDrawing(drawing) {
+            this.state.drawings.push(drawing);
+            this.saveDrawings();
+            this.setDrawingTool(null);
+        },
+
+        removeDrawing(id) {
+            this.state.drawings = this.state.drawings.filter(drawing => drawing.id !== id);
+            this.saveDrawings();
+        },
+
+        clearDrawings() {
+            if (this.state.drawings.length === 0 || !confirm('Remove all drawings for this coin?')) return;
+
+            this.state.drawings = [];
+            this.saveDrawings();
+        },
+
+        saveDrawings() {
+            chartDrawings.save(this.state.currentCoin, this.state.drawings);
+            this.renderDrawingList();
+            this.chart?.draw();
+        },
+
+        renderDrawingList() {
+            const list = this.elements.drawingList;
+            if (!list) return;
+
+            list.innerHTML = '';
+            this.state.drawings.forEach(drawing => {
+                const item = document.createElement('li');
+                item.className = 'drawing-item';
+
+                const label = document.createElement('span');
+                label.className = 'drawing-label';
+                label.textContent = chartDrawings.describe(drawing);
+                item.append(label);
+
+                if (drawing.type === 'hline') {
+                    const alertButton = document.createElement('button');
+                    alertButton.type = 'button';
+                    alertButton.className = 'drawing-alert';
+                    alertButton.dataset.alert = drawing.id;
+                    alertButton.disabled = Boolean(drawing.alertId);
+                    alertButton.innerHTML = alertButton.disabled
+                        ? '<i class="fas fa-bell"></i> Alert set'
+                        : '<i class="fas fa-bell"></i> Create alert';
+                    item.append(alertButton);
+                }
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'drawing-remove';
+                remove.dataset.remove = drawing.id;
+                remove.setAttribute('aria-label', `Remove ${label.textContent}`);
+                remove.innerHTML = '<i class="fas fa-trash"></i>';
+                item.append(remove);
+
+                list.append(item);
+            });
+
+            this.elements.clearDrawings.disabled = this.state.drawings.length === 0;
+        },
+
+        // Above or below is decided by which side of the current price the line is on
+        async createAlertFromDrawing(id) {
+            const drawing = this.state.drawings.find(item => item.id === id);
+            const coinId = this.state.currentCoin;
+            const currentPrice = await priceAlerts.getCurrentPrice(coinId);
+            const targetPrice = quoteCurrency.convert(drawing.points[0].price, drawing.currency);
+
+            if (!currentPrice || isNaN(targetPrice)) {
+                alert('Error fetching current price. Please try again.');
+                return;
+            }
+
+            const coin = coinRegistry.get(coinId);
+            const priceAlert = priceAlerts.createAlert({
+                coinId,
+                coinName: coin ? coinRegistry.label(coin) : this.coinLabel(coinId),
+                type: targetPrice > currentPrice ? 'above' : 'below',
+                targetPrice: Number(targetPrice.toPrecision(6)),
+                currentPrice
+            });
+
+            drawing.alertId = priceAlert.id;
+            this.saveDrawings();
+        },
+
+        // Buys and sells of the selected coin in the portfolio
+        trades() {
+            return portfolioTracker.trades(this.state.currentCoin);
+        },
+
+        hoverTrade(chart, event) {
+            const marker = event.type === 'mouseout' ? null : tradeMarkers.at(chart, event.x, event.y);
+            this.state.hoveredTrade = marker ? marker.trade : null;
+
+            const tooltip = this.elements.tradeTooltip;
+            if (!tooltip) return;
+
+            tooltip.hidden = !marker;
+            if (!marker) return;
+
+            tooltip.innerHTML = '';
+            tooltip.classList.toggle('sell', marker.trade.side === 'sell');
+            tradeMarkers.describe(marker.trade).forEach(line => {
+                const item = document.createElement('div');
+                item.textContent = line;
+                tooltip.append(item);
+            });
+            tooltip.style.left = `${chart.canvas.offsetLeft + marker.x}px`;
+            tooltip.style.top = `${chart.canvas.offsetTop + marker.y}px`;
+        },
+
+        // Panels follow the price chart while it is zoomed or panned
+        syncRange(chart) {
+            this.panels.forEach(panel => {
+                panel.options.scales.x.min = chart.scales.x.min;
+                panel.options.scales.x.max = chart.scales.x.max;
+                panel.update('none');
+            });
+        },
+
+        // Once zooming or panning stops the visible window is fetched again, which gets finer
+        // samples the shorter it is
+        changeViewport(chart) {
+            const { min, max } = chart.scales.x;
+            this.state.dateRange = { from: Math.floor(min), to: Math.min(Math.ceil(max), Date.now()) };
+            this.renderRangeControls();
+            onChange(this);
+
+            clearTimeout(this.viewportTimer);
+            this.viewportTimer = setTimeout(() => this.updateChart(), 400);
+        },
+
+        applyDateRange() {
+            const { rangeFrom, rangeTo } = this.elements;
+            const from = new Date(`${rangeFrom.value}T00:00:00`).getTime();
+            const to = Math.min(new Date(`${rangeTo.value}T23:59:59.999`).getTime(), Date.now());
+
+            rangeTo.setCustomValidity(from < to ? '' : 'The end date must be after the start date');
+            if (isNaN(from) || isNaN(to) || !rangeTo.reportValidity()) return;
+
+            this.state.dateRange = { from, to };
+            this.renderRangeControls();
+            onChange(this);
+            this.updateChart();
+        },
+
+        resetZoom() {
+            this.state.dateRange = null;
+            this.renderRangeControls();
+            onChange(this);
+            this.updateChart();
+        },
+
+        toggleLogScale() {
+            this.state.logScale = !this.state.logScale;
+            onChange(this);
+            this.renderRangeControls();
+            this.render();
+        },
+
+        // Date inputs show the window on screen. No preset is active while a custom window is.
+        renderRangeControls() {
+            const { dateRange, currentDays, logScale, view } = this.state;
+            const { rangeFrom, rangeTo, zoomReset } = this.elements;
+
+            this.elements.timeButtons.forEach(button => {
+                button.classList.toggle('active', !dateRange && button.dataset.days === currentDays);
+            });
+            if (!rangeFrom || !rangeTo) return;
+
+            const to = dateRange ? dateRange.to : Date.now();
+            const from = dateRange ? dateRange.from : to - Number(currentDays) * 24 * 60 * 60 * 1000;
+            const toDateValue = time => {
+                const date = new Date(time);
+                return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+            };
+            rangeFrom.value = toDateValue(from);
+            rangeTo.value = toDateValue(to);
+            rangeFrom.max = rangeTo.max = toDateValue(Date.now());
+
+            zoomReset.disabled = !dateRange;
+            this.elements.logScale.classList.toggle('active', logScale);
+            this.elements.logScale.setAttribute('aria-pressed', String(logScale));
+            // Percent changes go negative, which a log axis can't show
+            this.elements.logScale.disabled = view === 'compare';
+        },
+
+        // Rows of what is in view: price (or OHLC), volume and every enabled indicator sampled at
+        // the chart's times, or each coin's percent change when comparing
+        exportRows() {
+            if (!this.chart || !this.data) return [];
+
+            const { min, max } = this.chart.scales.x;
+            const inView = time => time >= min && time <= max;
+            const timestamp = time => new Date(time).toISOString();
+
+            if (this.data.comparisons) {
+                const [first] = this.chart.data.datasets;
+                return first.data
+                    .map((point, index) => ({ point, index }))
+                    .filter(({ point }) => inView(point.x))
+                    .map(({ point, index }) => this.chart.data.datasets.reduce((row, dataset) => {
+                        row[`${dataset.label} change %`] = dataset.data[index].y;
+                        return row;
+                    }, { timestamp: timestamp(point.x) }));
+            }
+
+            const { series, candles } = this.data;
+            const candleView = candles && candles.length > 0;
+            const times = candleView ? candles.map(([time]) => time) : series.prices.map(([time]) => time);
+            const volumes = this.sampleAt(series.total_volumes, times);
+            const columns = indicators.definitions
+                .filter(definition => definition.id !== 'volume' && this.state.indicators[definition.id].enabled)
+                .flatMap(definition => indicators.compute(definition.id, this.state.indicators[definition.id], series))
+                .map(line => ({
+                    label: line.label,
+                    values: this.sampleAt(series.prices.map(([time], index) => [time, line.values[index]]), times)
+                }));
+
+            return times.map((time, index) => {
+                if (!inView(time)) return null;
+
+                const row = { timestamp: timestamp(time) };
+                if (candleView) {
+                    const [, open, high, low, close] = candles[index];
+                    Object.assign(row, { open, high, low, close });
+                } else {
+                    row.price = series.prices[index][1];
+                }
+                row.volume = volumes[index];
+                columns.forEach(column => {
+                    row[column.label] = column.values[index];
+                });
+                return row;
+            }).filter(Boolean);
+        },
+
+        // Named after the coin, currency and window, e.g. rz1crypto-bitcoin-usd-30d
+        exportChart(format) {
+            const { currentCoin, currentDays, dateRange, view } = this.state;
+            const range = dateRange ? chartExport.rangeName(dateRange.from, dateRange.to) : `${currentDays}d`;
+            const coins = view === 'compare' ? this.comparedCoins().join('-vs-') : currentCoin;
+
+            chartExport.save(format, {
+                canvases: [this.elements.chartCanvas, ...[...this.panels.values()].map(panel => panel.canvas)],
+                rows: this.exportRows(),
+                meta: {
+                    coin: currentCoin,
+                    compared: view === 'compare' ? this.comparedCoins().slice(1) : undefined,
+                    currency: quoteCurrency.current,
+                    view,
+                    range: dateRange
+                        ? { from: new Date(dateRange.from).toISOString(), to: new Date(dateRange.to).toISOString() }
+                        : `${currentDays}d`
+                },
+                fileName: chartExport.fileName(coins, quoteCurrency.current, range)
+            });
+        },
+
+        // Indicators only apply to a single coin, so a comparison shows none
+        render() {
+            if (!this.data) return;
+            this.renderedLayout = this.layoutKey();
+
+            if (this.data.comparisons) {
+                this.createComparisonChart(this.data.series, this.data.comparisons);
+                this.clearPanels();
+                return;
+            }
+
+            this.createChart(this.data.series, this.data.candles);
+            this.renderPanels(this.data.series);
+        },
+
+        // Everything the charts are built from besides their data
+        layoutKey() {
+            const { candles, comparisons } = this.data;
+            return JSON.stringify({
+                view: comparisons ? 'compare' : candles && candles.length > 0 ? 'candle' : 'line',
+                coins: comparisons && comparisons.map(({ coinId }) => coinId),
+                logScale: this.state.logScale,
+                indicators: this.state.indicators
+            });
+        },
+
+        // New data for the same layout goes into the charts on screen, which keeps their zoom
+        // and drawings. Anything else builds them again.
+        refresh() {
+            if (!this.chart || this.layoutKey() !== this.renderedLayout) {
+                this.render();
+                return;
+            }
+
+            const { series, candles, comparisons } = this.data;
+            if (comparisons) {
+                this.fillComparisonChart(series, comparisons);
+            } else {
+                this.fillChart(series, candles);
+                this.fillPanels(series);
+            }
+            this.chart.update('none');
+        },
+
+        async updateChart() {
+            const { currentCoin, view } = this.state;
+            const requestId = ++this.requestId;
+            this.elements.chartWrapper.classList.add('loading');
+
+            const [series, candles, comparisons, currentData] = await Promise.all([
+                this.fetchPriceData(currentCoin),
+                view === 'candle' ? this.fetchOhlcData(currentCoin) : null,
+                view === 'compare' ? this.fetchComparisons() : null,
+                this.fetchCurrentData(currentCoin)
+            ]);
+            // A later update started while this loaded, for another coin, view or window
+            if (requestId !== this.requestId) return;
+            this.elements.chartWrapper.classList.remove('loading');
+
+            // The last chart stays up when a refresh fails
+            this.elements.errorMessage.classList.toggle('visible', series.prices.length === 0 && !this.data);
+            if (series.prices.length > 0) {
+                this.data = { series, candles, comparisons };
+                this.refresh();
+            }
+        
+            this.updatePriceInfo(currentData);
+        },
+
+        renderIndicatorOptions() {
+            const container = this.elements.indicatorOptions;
+            if (!container) return;
+
+            container.innerHTML = indicators.definitions.map(definition => {
+                const settings = this.state.indicators[definition.id];
+                const swatch = definition.color ? `var(--chart-color-${definition.color})` : 'var(--secondary-color)';
+                const params = definition.params.map(param => `
+                    <label class="indicator-param">
+                        ${param.label}
+                        <input type="number" data-indicator="${definition.id}" data-param="${param.name}"
+                            value="${settings[param.name]}" min="${param.min}" max="${param.max}" step="${param.step || 1}">
+                    </label>
+                `).join('');
+
+                return `
+                    <div class="indicator-option">
+                        <label class="indicator-toggle">
+                            <input type="checkbox" data-indicator="${definition.id}" ${settings.enabled ? 'checked' : ''}>
+                            <span class="indicator-swatch" style="background: ${swatch}"></span>
+                            ${definition.label}
+                        </label>
+                        ${params}
+                    </div>
+                `;
+            }).join('');
+        },
+
+        updateIndicator(input) {
+            const settings = this.state.indicators[input.dataset.indicator];
+
+            if (input.type === 'checkbox') {
+                settings.enabled = input.checked;
+            } else {
+                const param = indicators.get(input.dataset.indicator).params.find(item => item.name === input.dataset.param);
+                const value = Number(input.value);
+                if (input.value === '' || isNaN(value)) {
+                    input.value = settings[param.name];
+                    return;
+                }
+                settings[param.name] = Math.min(param.max, Math.max(param.min, value));
+                input.value = settings[param.name];
+            }
+
+            indicators.save(this.state.currentCoin, this.state.indicators);
+            this.render();
+        },
+
+        setView(view) {
+            this.state.view = view;
+            onChange(this);
+            this.renderViewButtons();
+            this.renderRangeControls();
+            this.updateChart();
+        },
+
+        renderCoinButtons() {
+            this.elements.coinButtons.forEach(button => {
+                button.classList.toggle('active', button.dataset.coin === this.state.currentCoin);
+            });
+        },
+
+        renderViewButtons() {
+            this.elements.viewButtons.forEach(button => {
+                const active = button.dataset.view === this.state.view;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+
+            const compare = this.state.view === 'compare';
+            if (this.elements.compareControls) this.elements.compareControls.hidden = !compare;
+            if (this.elements.indicatorControls) this.elements.indicatorControls.hidden = compare;
+            if (this.elements.drawingControls) this.elements.drawingControls.hidden = compare;
+        },
+
+        updateChartTheme() {
+            if (!this.chart) return;
+        
+            const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-color').trim();
+            const borderColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
+            const primaryColor = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
+            const secondaryColor = getComputedStyle(document.documentElement).getPropertyValue('--secondary-color').trim();
+            const cardBg = getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim();
+        
+            // Update chart defaults
+            Chart.defaults.color = textColor;
+            Chart.defaults.borderColor = borderColor;
+        
+            // Update datasets colors
+            if (this.chart.data.datasets[0].type === 'candlestick') {
+                this.chart.data.datasets[0].backgroundColors = this.candleColors();
+                this.chart.data.datasets[0].borderColors = this.candleColors();
+            } else {
+                this.chart.data.datasets[0].borderColor = primaryColor;
+            }
+            this.chart.data.datasets[1].backgroundColor = secondaryColor + '40';
+        
+            // Update tooltip styles
+            this.chart.options.plugins.tooltip.backgroundColor = cardBg;
+            this.chart.options.plugins.tooltip.titleColor = textColor;
+            this.chart.options.plugins.tooltip.bodyColor = textColor;
+            this.chart.options.plugins.tooltip.borderColor = borderColor;
+        
+            // Update grid colors
+            this.chart.options.scales.price.grid.color = borderColor + '20';
+        
+            // Update the chart
+            this.chart.update();
+        },
+
+        setupEventListeners() {
+            // Coin selection
+            this.elements.coinButtons.forEach(button => {
+                button.addEventListener('click', () => {
+                    this.state.currentCoin = button.dataset.coin;
+                    this.renderCoinButtons();
+                    onChange(this);
+                    if (this.active) this.announceCoin();
+                    this.state.indicators = indicators.load(this.state.currentCoin);
+                    this.state.drawings = chartDrawings.load(this.state.currentCoin);
+                    this.renderIndicatorOptions();
+                    this.renderCompareList();
+                    this.renderDrawingList();
+                    this.updateChart();
+                });
+            });
+
+            // Timeframe selection
+            this.elements.timeButtons.forEach(button => {
+                button.addEventListener('click', () => {
+                    this.state.currentDays = button.dataset.days;
+                    this.state.dateRange = null;
+                    this.renderRangeControls();
+                    onChange(this);
+                    this.updateChart();
+                });
+            });
+
+            // Custom dates, zoom reset and log scale
+            this.elements.rangeApply?.addEventListener('click', () => this.applyDateRange());
+            this.elements.zoomReset?.addEventListener('click', () => this.resetZoom());
+            this.elements.logScale?.addEventListener('click', () => this.toggleLogScale());
+            this.elements.rangeTo?.addEventListener('input', () => this.elements.rangeTo.setCustomValidity(''));
+
+            // Line or candle view
+            this.elements.viewButtons.forEach(button => {
+                button.addEventListener('click', () => this.setView(button.dataset.view));
+            });
+
+            // Coins to compare
+            this.elements.compareCoin?.addEventListener('change', (e) => this.addCompareCoin(e.target.value));
+            this.elements.compareList?.addEventListener('click', (e) => {
+                const button = e.target.closest('.compare-remove');
+                if (button) this.removeCompareCoin(button.dataset.coin);
+            });
+
+            // Drawing tools
+            if (this.elements.drawingTools) {
+                this.elements.drawingTools.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-tool]');
+                    if (button) this.setDrawingTool(button.dataset.tool);
+                });
+                this.elements.drawingList.addEventListener('click', (e) => {
+                    const alertButton = e.target.closest('[data-alert]');
+                    const removeButton = e.target.closest('[data-remove]');
+                    if (alertButton) this.createAlertFromDrawing(Number(alertButton.dataset.alert));
+                    if (removeButton) this.removeDrawing(Number(removeButton.dataset.remove));
+                });
+                this.elements.clearDrawings.addEventListener('click', () => this.clearDrawings());
+                this.elements.chartCanvas.addEventListener('pointerdown', (e) => this.startDrawing(e));
+                this.elements.chartCanvas.addEventListener('pointermove', (e) => this.moveDrawing(e));
+                this.elements.chartCanvas.addEventListener('pointerup', () => this.finishDrawing());
+                this.elements.chartCanvas.addEventListener('pointercancel', () => this.finishDrawing());
+            }
+
+            // PNG, CSV or JSON of what is in view
+            this.elements.exportButtons.forEach(button => {
+                button.addEventListener('click', () => this.exportChart(button.dataset.export));
+            });
+
+            // Indicator toggles and parameters
+            this.elements.indicatorOptions?.addEventListener('change', (e) => {
+                if (e.target.dataset.indicator) this.updateIndicator(e.target);
+            });
+
+            // Any click or focus inside the pane makes it the active one
+            root.addEventListener('pointerdown', () => onActivate(this));
+            root.addEventListener('focusin', () => onActivate(this));
+        },
+
+        setActive(active) {
+            this.active = active;
+            root.classList.toggle('active', active);
+            if (!active) return;
+
+            this.updatePriceInfo();
+            this.announceCoin();
+        },
+
+        // The coin details and price stats follow the active pane's coin
+        announceCoin() {
+            document.dispatchEvent(new CustomEvent('chartCoinChanged', { detail: { coinId: this.state.currentCoin } }));
+        },
+
+        // What is kept between sessions
+        serialize() {
+            const { currentCoin, currentDays, view, compareCoins, dateRange, logScale } = this.state;
+            return { coin: currentCoin, days: currentDays, view, compareCoins, dateRange, logScale };
+        },
+
+        destroy() {
+            clearTimeout(this.viewportTimer);
+            this.clearPanels();
+            this.chart?.destroy();
+            this.chart = null;
+            root.remove();
+        },
+
+        init() {
+            if (!this.elements.chartCanvas) return;
+
+            // The compare picker's list is found by the select's id, which must be unique
+            if (this.elements.compareCoin) {
+                this.elements.compareCoin.id = `${id}CompareCoin`;
+                if (this.elements.compareLabel) this.elements.compareLabel.htmlFor = this.elements.compareCoin.id;
+            }
+            this.state.indicators = indicators.load(this.state.currentCoin);
+            this.state.drawings = chartDrawings.load(this.state.currentCoin);
+            if (this.elements.compareCoin) {
+                this.comparePicker = createCoinPicker(this.elements.compareCoin);
+            }
+            this.renderCoinButtons();
+            this.renderViewButtons();
+            this.renderRangeControls();
+            this.renderIndicatorOptions();
+            this.renderCompareList();
+            this.renderDrawingTools();
+            this.renderDrawingList();
+            this.setupEventListeners();
+            this.updateChart();
+        }
+    };
+
+    return pane;
+}
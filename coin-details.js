@@ -0,0 +1,177 @@
+// Fundamentals of the coin in the active chart pane, from /coins/{id}. Also fills the 24h high,
+// low, volume and market cap in the chart's stats row.
+const coinDetails = {
+    elements: {
+        panel: document.getElementById('coinDetails'),
+        image: document.getElementById('coinDetailsImage'),
+        name: document.getElementById('coinDetailsName'),
+        symbol: document.getElementById('coinDetailsSymbol'),
+        rank: document.getElementById('coinDetailsRank'),
+        stats: document.getElementById('coinDetailsStats'),
+        links: document.getElementById('coinDetailsLinks'),
+        dayHigh: document.getElementById('dayHigh'),
+        dayLow: document.getElementById('dayLow'),
+        volume: document.getElementById('volume'),
+        marketCap: document.getElementById('marketCap')
+    },
+
+    refreshInterval: 5 * 60 * 1000,
+
+    coinId: null,
+    coin: null,
+
+    init() {
+        if (!this.elements.panel) return;
+
+        document.addEventListener('chartCoinChanged', (e) => this.load(e.detail.coinId));
+        document.addEventListener('quoteCurrencyChanged', () => this.render());
+        // The chart announces its coin as soon as its panes are set up
+        refreshScheduler.register('coinDetails', () => this.coinId && this.load(this.coinId), { interval: this.refreshInterval });
+    },
+
+    async load(coinId) {
+        if (coinId !== this.coinId) {
+            this.coinId = coinId;
+            this.coin = null;
+            this.render();
+        }
+
+        try {
+            const coin = await marketData.getCoin(coinId);
+            // Another coin may have been picked while this one loaded
+            if (coinId !== this.coinId) return;
+
+            this.coin = coin;
+            this.render();
+        } catch (error) {
+            console.error('Error fetching coin details:', error);
+            if (coinId === this.coinId && !this.coin) this.renderError();
+        }
+    },
+
+    // A field of market_data in the quote currency, converted from USD when the response
+    // doesn't quote that currency
+    quoted(field) {
+        const values = this.coin.market_data[field] || {};
+        const currency = quoteCurrency.current;
+        return values[currency] ?? quoteCurrency.convert(values.usd, 'usd', currency);
+    },
+
+    formatSupply(value) {
+        if (value === null || value === undefined) return 'N/A';
+        return `${new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 }).format(value)} ${this.coin.symbol.toUpperCase()}`;
+    },
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleDateString() : '';
+    },
+
+    formatExtreme(price, date, change) {
+        const parts = [quoteCurrency.format(price)];
+        if (date) parts.push(`on ${this.formatDate(date)}`);
+        if (change !== null && change !== undefined) parts.push(`(${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`);
+        return parts.join(' ');
+    },
+
+    render() {
+        const { image, name, symbol, rank, stats, links } = this.elements;
+        if (!this.elements.panel) return;
+
+        if (!this.coin) {
+            image.hidden = true;
+            name.textContent = 'Loading...';
+            symbol.textContent = '';
+            rank.textContent = '';
+            stats.innerHTML = '';
+            links.innerHTML = '';
+            this.renderStatsRow({});
+            return;
+        }
+
+        const coin = this.coin;
+        const data = coin.market_data;
+        const currency = quoteCurrency.current;
+        const wholeAmount = value => quoteCurrency.format(value, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+
+        image.src = coin.image?.small || coin.image?.large || '';
+        image.hidden = !image.src;
+        name.textContent = coin.name;
+        symbol.textContent = coin.symbol.toUpperCase();
+        rank.textContent = coin.market_cap_rank ? `Rank #${coin.market_cap_rank}` : '';
+
+        const rows = [
+            ['Market Cap', wholeAmount(this.quoted('market_cap'))],
+            ['Fully Diluted Valuation', wholeAmount(this.quoted('fully_diluted_valuation'))],
+            ['24h High', quoteCurrency.format(this.quoted('high_24h'))],
+            ['24h Low', quoteCurrency.format(this.quoted('low_24h'))],
+            ['Circulating Supply', this.formatSupply(data.circulating_supply)],
+            ['Total Supply', this.formatSupply(data.total_supply)],
+            ['Max Supply', data.max_supply ? this.formatSupply(data.max_supply) : 'Unlimited'],
+            ['All-Time High', this.formatExtreme(
+                this.quoted('ath'), data.ath_date?.[currency] || data.ath_date?.usd, data.ath_change_percentage?.[currency]
+            )],
+            ['All-Time Low', this.formatExtreme(
+                this.quoted('atl'), data.atl_date?.[currency] || data.atl_date?.usd, data.atl_change_percentage?.[currency]
+            )]
+        ];
+
+        stats.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'coin-details-stat';
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            item.append(term, description);
+            stats.append(item);
+        });
+
+        this.renderLinks(coin.links || {});
+        this.renderStatsRow({
+            dayHigh: quoteCurrency.format(this.quoted('high_24h')),
+            dayLow: quoteCurrency.format(this.quoted('low_24h')),
+            volume: wholeAmount(this.quoted('total_volume')),
+            marketCap: wholeAmount(this.quoted('market_cap'))
+        });
+    },
+
+    renderLinks(projectLinks) {
+        const links = [
+            ['Website', projectLinks.homepage?.find(Boolean), 'fa-globe'],
+            ['Whitepaper', projectLinks.whitepaper, 'fa-file-alt'],
+            ['Explorer', projectLinks.blockchain_site?.find(Boolean), 'fa-cubes'],
+            ['Source code', projectLinks.repos_url?.github?.find(Boolean), 'fa-code-branch'],
+            ['Reddit', projectLinks.subreddit_url, 'fa-comments'],
+            ['X (Twitter)', projectLinks.twitter_screen_name && `https://twitter.com/${projectLinks.twitter_screen_name}`, 'fa-hashtag']
+        ].filter(([, url]) => typeof url === 'string' && /^https?:\/\//.test(url));
+
+        this.elements.links.innerHTML = '';
+        links.forEach(([label, url, icon]) => {
+            const link = document.createElement('a');
+            link.className = 'coin-details-link';
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.innerHTML = `<i class="fas ${icon}"></i>`;
+            link.append(` ${label}`);
+            this.elements.links.append(link);
+        });
+    },
+
+    renderStatsRow(values) {
+        ['dayHigh', 'dayLow', 'volume', 'marketCap'].forEach(key => {
+            if (this.elements[key]) this.elements[key].textContent = values[key] || 'Loading...';
+        });
+    },
+
+    renderError() {
+        this.elements.name.textContent = 'Coin details are unavailable right now';
+        ['dayHigh', 'dayLow', 'volume', 'marketCap'].forEach(key => {
+            if (this.elements[key]) this.elements[key].textContent = 'N/A';
+        });
+    }
+};
+
+// Initialize coin details
+coinDetails.init();
@@ -0,0 +1,335 @@
+// Every coin the pickers can offer: the provider's full coin list, with market cap rank and
+// icon for the top coins. Kept in IndexedDB for a day so pickers are instant on the next visit.
+const coinRegistry = {
+    storeName: 'catalog',
+    recordKey: 'coins',
+    maxAge: 24 * 60 * 60 * 1000,
+    rankedCount: 250,
+    fiats: [
+        { id: 'usd', symbol: 'usd', name: 'US Dollar', fiat: true, rank: 0 },
+        { id: 'eur', symbol: 'eur', name: 'Euro', fiat: true, rank: 0 },
+        { id: 'gbp', symbol: 'gbp', name: 'British Pound', fiat: true, rank: 0 }
+    ],
+
+    coins: new Map(),
+    loading: null,
+    loaded: false,
+
+    load() {
+        if (!this.loading) {
+            this.loading = this.fetch().catch(error => {
+                console.error('Error loading coin list:', error);
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    },
+
+    async fetch() {
+        const cached = await localDb.get(this.storeName, this.recordKey).catch(() => null);
+        if (cached) {
+            this.apply(cached);
+            this.loaded = Date.now() - cached.updatedAt < this.maxAge;
+            if (this.loaded) return;
+        }
+
+        try {
+            const [list, markets] = await Promise.all([
+                marketData.getCoinList(),
+                marketData.getMarkets({ perPage: this.rankedCount }, 'low')
+            ]);
+            const record = {
+                key: this.recordKey,
+                updatedAt: Date.now(),
+                coins: list.map(({ id, symbol, name }) => ({ id, symbol, name })),
+                ranked: markets.map(({ id, symbol, name, image, market_cap_rank }) => ({
+                    id, symbol, name, image, rank: market_cap_rank
+                }))
+            };
+
+            this.apply(record);
+            this.loaded = true;
+            await localDb.put(this.storeName, record).catch(error => console.error('Error saving coin list:', error));
+        } catch (error) {
+            // An out of date list is still better than none
+            if (!cached) throw error;
+            this.loaded = true;
+        }
+    },
+
+    apply({ coins, ranked }) {
+        coins.forEach(coin => this.add(coin));
+        ranked.forEach(coin => this.add(coin));
+
+        // Ranked coins get priced and streamed from Binance by symbol, the higher market cap
+        // keeping a symbol two coins share
+        [...ranked]
+            .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))
+            .forEach(coin => coinMappings.register(coin.id, coin.symbol));
+        priceStream.updateStreams();
+    },
+
+    add(coin) {
+        this.coins.set(coin.id, { ...this.coins.get(coin.id), ...coin });
+    },
+
+    get(id) {
+        return this.coins.get(id) || this.fiats.find(fiat => fiat.id === id) || null;
+    },
+
+    isFiat(id) {
+        return this.fiats.some(fiat => fiat.id === id);
+    },
+
+    label(coin) {
+        return `${coin.name} (${coin.symbol.toUpperCase()})`;
+    },
+
+    // Lower is a better match, null is no match
+    score(coin, term) {
+        if (!term) return 0;
+
+        const name = coin.name.toLowerCase();
+        if (coin.symbol === term || coin.id === term || name === term) return 0;
+        if (coin.symbol.startsWith(term) || name.startsWith(term) || coin.id.startsWith(term)) return 1;
+        if (name.split(/\s+/).some(word => word.startsWith(term))) return 2;
+        if (name.includes(term) || coin.id.includes(term)) return 3;
+        return null;
+    },
+
+    // Best matches first, then by market cap rank. Coins without a rank come last.
+    search(query, { limit = 20, includeFiat = false } = {}) {
+        const term = query.trim().toLowerCase();
+        const pool = includeFiat ? [...this.fiats, ...this.coins.values()] : [...this.coins.values()];
+
+        return pool
+            .map(coin => ({ coin, score: this.score(coin, term) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) =>
+                a.score - b.score ||
+                (a.coin.rank ?? Infinity) - (b.coin.rank ?? Infinity) ||
+                a.coin.name.length - b.coin.name.length
+            )
+            .slice(0, limit)
+            .map(({ coin }) => coin);
+    }
+};
+
+// Search-as-you-type picker that takes over a coin <select>. The select stays in the page,
+// hidden, and always holds the chosen coin, so .value, the selected option's text and its
+// change event keep working for the module that owns it.
+function createCoinPicker(select, { includeFiat = false } = {}) {
+    if (select.coinPicker) return select.coinPicker;
+
+    const placeholderOption = [...select.options].find(option => option.value === '');
+    const listId = `${select.id}Options`;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'coin-picker';
+    wrapper.innerHTML = `
+        <span class="coin-picker-icon" aria-hidden="true"></span>
+        <input type="text" id="${select.id}Search" autocomplete="off" spellcheck="false"
+            role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${listId}">
+        <ul class="coin-picker-list" id="${listId}" role="listbox" hidden></ul>
+    `;
+
+    const picker = {
+        select,
+        includeFiat,
+        input: wrapper.querySelector('input'),
+        icon: wrapper.querySelector('.coin-picker-icon'),
+        list: wrapper.querySelector('.coin-picker-list'),
+        results: [],
+        activeIndex: -1,
+
+        init() {
+            // The options already in the page are known coins even before the full list loads
+            [...select.options].forEach(option => {
+                if (!option.value || coinRegistry.get(option.value)) return;
+
+                const match = option.text.match(/^(.*) \((\w+)\)$/);
+                coinRegistry.add({
+                    id: option.value,
+                    name: match ? match[1] : option.text,
+                    symbol: (match ? match[2] : coinMappings.symbolFor(option.value) || option.text).toLowerCase()
+                });
+            });
+
+            this.input.className = `${select.className} coin-picker-input`.trim();
+            this.input.placeholder = placeholderOption ? placeholderOption.text : 'Search coins';
+            this.input.required = select.required;
+            select.required = false;
+            select.hidden = true;
+            select.tabIndex = -1;
+            select.after(wrapper);
+
+            const label = document.querySelector(`label[for="${select.id}"]`);
+            if (label) label.htmlFor = this.input.id;
+
+            this.input.addEventListener('focus', () => this.open());
+            this.input.addEventListener('input', () => this.open());
+            this.input.addEventListener('keydown', (e) => this.handleKey(e));
+            this.input.addEventListener('blur', () => this.close());
+            // Keep focus in the input while an option is clicked
+            this.list.addEventListener('mousedown', (e) => e.preventDefault());
+            this.list.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-index]');
+                if (item) this.choose(this.results[item.dataset.index]);
+            });
+            select.form?.addEventListener('reset', () => setTimeout(() => this.sync()));
+
+            this.sync();
+        },
+
+        async open() {
+            this.search();
+            if (!coinRegistry.loaded) {
+                await coinRegistry.load();
+                if (document.activeElement === this.input) this.search();
+            }
+        },
+
+        search() {
+            const selected = coinRegistry.get(select.value);
+            // Show everything again when the box still holds the current choice
+            const query = selected && this.input.value === coinRegistry.label(selected) ? '' : this.input.value;
+
+            this.results = coinRegistry.search(query, { includeFiat: this.includeFiat });
+            this.activeIndex = this.results.length > 0 ? 0 : -1;
+            this.render();
+        },
+
+        render() {
+            this.list.innerHTML = '';
+            this.results.forEach((coin, index) => {
+                const item = document.createElement('li');
+                item.id = `${listId}-${index}`;
+                item.className = 'coin-picker-option';
+                item.dataset.index = index;
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', String(index === this.activeIndex));
+
+                const name = document.createElement('span');
+                name.className = 'coin-picker-name';
+                name.textContent = coin.name;
+
+                const symbol = document.createElement('span');
+                symbol.className = 'coin-picker-symbol';
+                symbol.textContent = coin.symbol.toUpperCase();
+
+                item.append(this.iconFor(coin), name, symbol);
+                if (coin.rank) {
+                    const rank = document.createElement('span');
+                    rank.className = 'coin-picker-rank';
+                    rank.textContent = `#${coin.rank}`;
+                    item.append(rank);
+                }
+                this.list.append(item);
+            });
+
+            if (this.results.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'coin-picker-empty';
+                empty.textContent = 'No coins found';
+                this.list.append(empty);
+            }
+
+            this.list.hidden = false;
+            this.input.setAttribute('aria-expanded', 'true');
+            this.highlight();
+        },
+
+        iconFor(coin) {
+            if (coin.image) {
+                const image = document.createElement('img');
+                image.className = 'coin-picker-image';
+                image.src = coin.image;
+                image.alt = '';
+                image.loading = 'lazy';
+                image.addEventListener('error', () => image.replaceWith(this.iconFor({ ...coin, image: null })));
+                return image;
+            }
+
+            const fallback = document.createElement('span');
+            fallback.className = 'coin-picker-image coin-picker-fallback';
+            fallback.textContent = coin.fiat ? coin.symbol.toUpperCase()[0] : coin.symbol[0]?.toUpperCase() || '?';
+            return fallback;
+        },
+
+        highlight() {
+            [...this.list.children].forEach((item, index) => {
+                item.classList.toggle('active', index === this.activeIndex);
+                item.setAttribute('aria-selected', String(index === this.activeIndex));
+            });
+
+            const active = this.list.children[this.activeIndex];
+            if (active && this.results.length > 0) {
+                this.input.setAttribute('aria-activedescendant', active.id);
+                active.scrollIntoView({ block: 'nearest' });
+            } else {
+                this.input.removeAttribute('aria-activedescendant');
+            }
+        },
+
+        handleKey(e) {
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (this.list.hidden) {
+                        this.open();
+                        return;
+                    }
+                    if (this.results.length === 0) return;
+                    this.activeIndex = (this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + this.results.length)
+                        % this.results.length;
+                    this.highlight();
+                    break;
+                case 'Enter':
+                    if (this.list.hidden) return;
+                    e.preventDefault();
+                    if (this.results[this.activeIndex]) this.choose(this.results[this.activeIndex]);
+                    break;
+                case 'Escape':
+                    this.close();
+                    break;
+            }
+        },
+
+        // Closing without choosing puts the current choice back in the box
+        close() {
+            this.list.hidden = true;
+            this.input.setAttribute('aria-expanded', 'false');
+            this.input.removeAttribute('aria-activedescendant');
+            this.sync();
+        },
+
+        choose(coin) {
+            this.setValue(coin.id);
+            this.close();
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+
+        // Select a coin from code. Doesn't fire change, like setting a select's value.
+        setValue(id) {
+            const coin = coinRegistry.get(id);
+            if (coin && ![...select.options].some(option => option.value === id)) {
+                select.add(new Option(coinRegistry.label(coin), id));
+            }
+
+            select.value = coin ? id : '';
+            this.sync();
+        },
+
+        sync() {
+            const coin = coinRegistry.get(select.value);
+            this.input.value = coin ? coinRegistry.label(coin) : '';
+            this.icon.replaceChildren(...(coin ? [this.iconFor(coin)] : []));
+            wrapper.classList.toggle('has-icon', Boolean(coin));
+        }
+    };
+
+    picker.init();
+    select.coinPicker = picker;
+    return picker;
+}
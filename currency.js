@@ -0,0 +1,134 @@
+// App-wide quote currency. Prices are requested and shown in it. Amounts the user saved
+// (portfolio prices, alert targets, predictions) keep the currency they were entered in
+// and are converted with the latest exchange rates wherever they are shown or compared.
+const quoteCurrency = {
+    elements: {
+        select: document.getElementById('quoteCurrencySelect')
+    },
+
+    storageKey: 'quoteCurrency',
+    ratesStorageKey: 'quoteCurrencyRates',
+    supported: ['usd', 'eur', 'gbp'],
+    refreshInterval: 15 * 60 * 1000,
+
+    current: 'usd',
+    rates: { usd: 1 }, // Units of each currency per US dollar
+
+    init() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (this.supported.includes(saved)) {
+            this.current = saved;
+        }
+        this.rates = { ...JSON.parse(localStorage.getItem(this.ratesStorageKey) || '{}'), usd: 1 };
+
+        if (this.elements.select) {
+            this.elements.select.value = this.current;
+            this.elements.select.addEventListener('change', (e) => this.set(e.target.value));
+        }
+        this.renderLabels();
+
+        this.updateRates();
+        refreshScheduler.register('quoteCurrencyRates', () => this.updateRates(), { interval: this.refreshInterval });
+    },
+
+    // Cross rates through bitcoin, which every provider quotes in all supported currencies
+    async updateRates() {
+        try {
+            const data = await marketData.getPrices('bitcoin', { vsCurrencies: this.supported, priority: 'low' });
+            const bitcoin = data.bitcoin;
+            this.supported.forEach(currency => {
+                if (bitcoin?.[currency]) this.rates[currency] = bitcoin[currency] / bitcoin.usd;
+            });
+            localStorage.setItem(this.ratesStorageKey, JSON.stringify(this.rates));
+        } catch (error) {
+            console.error('Error fetching exchange rates:', error);
+        }
+    },
+
+    async set(currency) {
+        if (!this.supported.includes(currency) || currency === this.current) return;
+
+        const previous = this.current;
+        if (!this.rates[currency]) {
+            await this.updateRates();
+        }
+
+        this.current = currency;
+        localStorage.setItem(this.storageKey, currency);
+        if (this.elements.select) this.elements.select.value = currency;
+        this.renderLabels();
+
+        document.dispatchEvent(new CustomEvent('quoteCurrencyChanged', { detail: { currency, previous } }));
+    },
+
+    // NaN (shown as N/A) when there's no rate for one of the currencies yet. Rates from another
+    // day can be passed in to convert at that day's rate.
+    convert(amount, from = 'usd', to = this.current, rates = this.rates) {
+        if (amount === null || amount === undefined || from === to) return amount;
+        if (!rates[from] || !rates[to]) return NaN;
+        return amount * rates[to] / rates[from];
+    },
+
+    // The rates (units per US dollar) at each of the given times, crossed through bitcoin's
+    // daily closes. The window is stretched past 90 days so the history comes back daily.
+    async ratesAt(times) {
+        const day = 24 * 60 * 60 * 1000;
+        const to = Math.min(Date.now(), Math.max(...times) + day);
+        const from = Math.min(Math.min(...times) - day, to - 91 * day);
+
+        const series = await Promise.all(this.supported.map(currency =>
+            marketData.getMarketChartRange('bitcoin', { vsCurrency: currency, from, to, priority: 'low' })
+                .then(data => data.prices)
+        ));
+        // The last close at or before the time, or the first one for times before it
+        const priceAt = (prices, time) => {
+            let low = 0;
+            let high = prices.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (prices[middle][0] <= time) low = middle;
+                else high = middle - 1;
+            }
+            return prices[low]?.[1];
+        };
+
+        return times.map(time => {
+            const bitcoin = Object.fromEntries(this.supported.map((currency, index) => [currency, priceAt(series[index], time)]));
+            return Object.fromEntries(this.supported.map(currency => [currency, bitcoin[currency] / bitcoin.usd]));
+        });
+    },
+
+    format(value, { currency = this.current, minimumFractionDigits = 2, maximumFractionDigits = 2, notation } = {}) {
+        if (value === null || value === undefined || isNaN(value)) return 'N/A';
+
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: currency.toUpperCase(),
+            minimumFractionDigits,
+            maximumFractionDigits,
+            notation
+        }).format(value);
+    },
+
+    symbol(currency = this.current) {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() })
+            .formatToParts(0)
+            .find(part => part.type === 'currency').value;
+    },
+
+    // Static labels in the page that name the currency
+    renderLabels() {
+        document.querySelectorAll('[data-quote-code]').forEach(element => {
+            element.textContent = this.current.toUpperCase();
+        });
+        document.querySelectorAll('[data-quote-symbol]').forEach(element => {
+            element.textContent = this.symbol();
+        });
+        document.querySelectorAll('[data-quote-placeholder]').forEach(element => {
+            element.placeholder = element.dataset.quotePlaceholder.replace('{code}', this.current.toUpperCase());
+        });
+    }
+};
+
+// Initialize quote currency
+quoteCurrency.init();
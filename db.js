@@ -0,0 +1,80 @@
+// Promise wrapper around the IndexedDB database the app keeps its local market data in
+const localDb = {
+    name: 'rz1crypto',
+    version: 4,
+    stores: {
+        series: { keyPath: 'key' },
+        catalog: { keyPath: 'key' },
+        ticks: { keyPath: 'key' },
+        snapshots: { keyPath: 'key' }
+    },
+    connection: null,
+
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(this.stores).forEach(([name, options]) => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, options);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.connection;
+    },
+
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    },
+
+    getAll(storeName, query) {
+        return this.run(storeName, 'readonly', store => store.getAll(query));
+    },
+
+    getAllKeys(storeName, query) {
+        return this.run(storeName, 'readonly', store => store.getAllKeys(query));
+    },
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    },
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    },
+
+    // Several keys in one transaction
+    deleteAll(storeName, keys) {
+        return this.run(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    },
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+};
@@ -0,0 +1,116 @@
+// Lines, boxes and notes drawn on the price chart. Every point is anchored to a time and a price,
+// kept in the currency it was drawn in, and the drawings are saved per coin.
+const chartDrawings = {
+    storageKey: 'chartDrawings',
+    tools: [
+        { id: 'hline', label: 'Horizontal line', icon: 'fa-grip-lines' },
+        { id: 'trend', label: 'Trendline', icon: 'fa-slash' },
+        { id: 'rect', label: 'Rectangle', icon: 'fa-vector-square' },
+        { id: 'text', label: 'Text note', icon: 'fa-font' }
+    ],
+
+    load(coinId) {
+        return JSON.parse(localStorage.getItem(this.storageKey) || '{}')[coinId] || [];
+    },
+
+    save(coinId, drawings) {
+        const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        if (drawings.length > 0) {
+            saved[coinId] = drawings;
+        } else {
+            delete saved[coinId];
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    },
+
+    create(type, points, extras = {}) {
+        return {
+            id: Date.now(),
+            type,
+            points,
+            currency: quoteCurrency.current,
+            ...extras
+        };
+    },
+
+    describe(drawing) {
+        const tool = this.tools.find(item => item.id === drawing.type);
+        if (drawing.type === 'hline') {
+            return `${tool.label} at ${quoteCurrency.format(drawing.points[0].price, { currency: drawing.currency })}`;
+        }
+        if (drawing.type === 'text') {
+            return `${tool.label}: ${drawing.text}`;
+        }
+        return tool.label;
+    },
+
+    // Paints the drawings onto a chart with a 'price' axis, in the current quote currency.
+    // Colors are read from the theme on every draw so they follow theme changes.
+    draw(chart, drawings) {
+        const { ctx, chartArea, scales } = chart;
+        const style = getComputedStyle(document.documentElement);
+        const color = style.getPropertyValue('--primary-color').trim();
+        const rgb = style.getPropertyValue('--primary-color-rgb').trim();
+        const textColor = style.getPropertyValue('--text-color').trim();
+        const cardBg = style.getPropertyValue('--card-bg').trim();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.font = '12px Poppins, sans-serif';
+
+        drawings.forEach(drawing => {
+            const points = drawing.points.map(point => ({
+                x: scales.x.getPixelForValue(point.time),
+                y: scales.price.getPixelForValue(quoteCurrency.convert(point.price, drawing.currency)),
+                price: quoteCurrency.convert(point.price, drawing.currency)
+            }));
+            if (points.some(point => isNaN(point.x) || isNaN(point.y))) return;
+
+            const [start, end] = points;
+            switch (drawing.type) {
+                case 'hline': {
+                    ctx.beginPath();
+                    ctx.moveTo(chartArea.left, start.y);
+                    ctx.lineTo(chartArea.right, start.y);
+                    ctx.stroke();
+
+                    const label = quoteCurrency.format(start.price);
+                    const width = ctx.measureText(label).width + 8;
+                    ctx.fillStyle = color;
+                    ctx.fillRect(chartArea.right - width, start.y - 9, width, 18);
+                    ctx.fillStyle = '#ffffff';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(label, chartArea.right - width + 4, start.y);
+                    break;
+                }
+                case 'trend':
+                    ctx.beginPath();
+                    ctx.moveTo(start.x, start.y);
+                    ctx.lineTo(end.x, end.y);
+                    ctx.stroke();
+                    break;
+                case 'rect':
+                    ctx.fillStyle = `rgba(${rgb}, 0.1)`;
+                    ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+                    ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+                    break;
+                case 'text': {
+                    const width = ctx.measureText(drawing.text).width + 12;
+                    ctx.fillStyle = cardBg;
+                    ctx.fillRect(start.x, start.y - 11, width, 22);
+                    ctx.strokeRect(start.x, start.y - 11, width, 22);
+                    ctx.fillStyle = textColor;
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(drawing.text, start.x + 6, start.y);
+                    break;
+                }
+            }
+        });
+
+        ctx.restore();
+    }
+};
@@ -0,0 +1,201 @@
+// Technical indicators for the price chart, computed locally from market_chart series.
+// Every function returns one value per input point, null until there is enough history.
+const indicators = {
+    storageKey: 'chartIndicators',
+
+    // Overlays are drawn on the price axis, panels get a chart of their own under it.
+    // color is the index of a --chart-color-N theme variable.
+    definitions: [
+        { id: 'sma', label: 'SMA', type: 'overlay', color: 1, params: [
+            { name: 'period', label: 'Period', value: 20, min: 2, max: 200 }
+        ] },
+        { id: 'ema', label: 'EMA', type: 'overlay', color: 2, params: [
+            { name: 'period', label: 'Period', value: 50, min: 2, max: 200 }
+        ] },
+        { id: 'bollinger', label: 'Bollinger Bands', type: 'overlay', color: 3, params: [
+            { name: 'period', label: 'Period', value: 20, min: 2, max: 200 },
+            { name: 'deviations', label: 'Std. dev.', value: 2, min: 0.5, max: 5, step: 0.5 }
+        ] },
+        { id: 'vwap', label: 'VWAP', type: 'overlay', color: 4, params: [] },
+        { id: 'rsi', label: 'RSI', type: 'panel', color: 5, params: [
+            { name: 'period', label: 'Period', value: 14, min: 2, max: 100 }
+        ] },
+        { id: 'macd', label: 'MACD', type: 'panel', color: 6, params: [
+            { name: 'fast', label: 'Fast', value: 12, min: 2, max: 100 },
+            { name: 'slow', label: 'Slow', value: 26, min: 2, max: 200 },
+            { name: 'signal', label: 'Signal', value: 9, min: 2, max: 100 }
+        ] },
+        { id: 'volume', label: 'Volume', type: 'panel', color: null, params: [] }
+    ],
+
+    get(id) {
+        return this.definitions.find(definition => definition.id === id);
+    },
+
+    defaults() {
+        return this.definitions.reduce((acc, definition) => {
+            acc[definition.id] = definition.params.reduce(
+                (params, param) => ({ ...params, [param.name]: param.value }),
+                { enabled: false }
+            );
+            return acc;
+        }, {});
+    },
+
+    // Settings are kept per coin, falling back to the defaults for anything not saved yet
+    load(coinId) {
+        const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}')[coinId] || {};
+        const settings = this.defaults();
+        Object.keys(settings).forEach(id => {
+            settings[id] = { ...settings[id], ...saved[id] };
+        });
+        return settings;
+    },
+
+    save(coinId, settings) {
+        const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        saved[coinId] = settings;
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    },
+
+    // Series to draw for an indicator: [{ label, values, kind }], kind being 'line', 'bar' or
+    // 'histogram' (bars colored by sign). Lines may also set dashed, or a color of their own.
+    compute(id, params, series) {
+        const prices = series.prices.map(([, price]) => price);
+        const volumes = series.total_volumes.map(([, volume]) => volume);
+
+        switch (id) {
+            case 'sma':
+                return [{ label: `SMA ${params.period}`, values: this.sma(prices, params.period), kind: 'line' }];
+            case 'ema':
+                return [{ label: `EMA ${params.period}`, values: this.ema(prices, params.period), kind: 'line' }];
+            case 'bollinger': {
+                const bands = this.bollinger(prices, params.period, params.deviations);
+                return [
+                    { label: 'BB upper', values: bands.upper, kind: 'line', dashed: true },
+                    { label: `BB ${params.period}`, values: bands.middle, kind: 'line' },
+                    { label: 'BB lower', values: bands.lower, kind: 'line', dashed: true }
+                ];
+            }
+            case 'vwap':
+                return [{ label: 'VWAP', values: this.vwap(prices, volumes), kind: 'line' }];
+            case 'rsi':
+                return [{ label: `RSI ${params.period}`, values: this.rsi(prices, params.period), kind: 'line' }];
+            case 'macd': {
+                const macd = this.macd(prices, params.fast, params.slow, params.signal);
+                return [
+                    { label: 'MACD', values: macd.macd, kind: 'line' },
+                    { label: 'Signal', values: macd.signal, kind: 'line', color: 5 },
+                    { label: 'Histogram', values: macd.histogram, kind: 'histogram' }
+                ];
+            }
+            case 'volume':
+                return [{ label: 'Volume', values: volumes, kind: 'bar' }];
+            default:
+                return [];
+        }
+    },
+
+    sma(values, period) {
+        let sum = 0;
+        return values.map((value, index) => {
+            sum += value;
+            if (index >= period) sum -= values[index - period];
+            return index >= period - 1 ? sum / period : null;
+        });
+    },
+
+    // Seeded with the average of the first full period. Leading nulls are skipped so an EMA
+    // can be taken of another indicator.
+    ema(values, period) {
+        const k = 2 / (period + 1);
+        const seed = [];
+        let previous = null;
+
+        return values.map(value => {
+            if (value === null) return null;
+
+            if (previous === null) {
+                seed.push(value);
+                if (seed.length < period) return null;
+                previous = seed.reduce((sum, item) => sum + item, 0) / period;
+                return previous;
+            }
+
+            previous = value * k + previous * (1 - k);
+            return previous;
+        });
+    },
+
+    bollinger(values, period, deviations) {
+        const middle = this.sma(values, period);
+        const width = middle.map((average, index) => {
+            if (average === null) return null;
+            const window = values.slice(index - period + 1, index + 1);
+            const variance = window.reduce((sum, value) => sum + (value - average) ** 2, 0) / period;
+            return Math.sqrt(variance) * deviations;
+        });
+
+        return {
+            middle,
+            upper: middle.map((average, index) => average === null ? null : average + width[index]),
+            lower: middle.map((average, index) => average === null ? null : average - width[index])
+        };
+    },
+
+    // Anchored at the start of the window
+    vwap(prices, volumes) {
+        let weighted = 0;
+        let total = 0;
+
+        return prices.map((price, index) => {
+            const volume = volumes[index] || 0;
+            weighted += price * volume;
+            total += volume;
+            return total > 0 ? weighted / total : null;
+        });
+    },
+
+    // Wilder's smoothing
+    rsi(values, period) {
+        let gain = 0;
+        let loss = 0;
+
+        return values.map((value, index) => {
+            if (index === 0) return null;
+
+            const change = value - values[index - 1];
+            const up = Math.max(change, 0);
+            const down = Math.max(-change, 0);
+
+            if (index <= period) {
+                gain += up / period;
+                loss += down / period;
+                if (index < period) return null;
+            } else {
+                gain = (gain * (period - 1) + up) / period;
+                loss = (loss * (period - 1) + down) / period;
+            }
+
+            if (loss === 0) return gain === 0 ? 50 : 100;
+            return 100 - 100 / (1 + gain / loss);
+        });
+    },
+
+    macd(values, fast, slow, signal) {
+        const fastEma = this.ema(values, fast);
+        const slowEma = this.ema(values, slow);
+        const macd = fastEma.map((value, index) =>
+            value === null || slowEma[index] === null ? null : value - slowEma[index]
+        );
+        const signalLine = this.ema(macd, signal);
+
+        return {
+            macd,
+            signal: signalLine,
+            histogram: macd.map((value, index) =>
+                value === null || signalLine[index] === null ? null : value - signalLine[index]
+            )
+        };
+    }
+};
@@ -66,8 +66,7 @@ function filterFeatures(featureId) {
 const MarketAPI = {
     async getGlobalStats() {
         try {
-            const response = await fetch('https://api.coingecko.com/api/v3/global');
-            const data = await response.json();
+            const data = await marketData.getGlobal();
             updateGlobalStats(data.data);
         } catch (error) {
             console.error('Error fetching global stats:', error);
@@ -76,8 +75,7 @@ const MarketAPI = {
 
     async getTrendingCoins() {
         try {
-            const response = await fetch('https://api.coingecko.com/api/v3/search/trending');
-            const data = await response.json();
+            const data = await marketData.getTrending();
             updateTrendingCoins(data.coins);
         } catch (error) {
             console.error('Error fetching trending coins:', error);
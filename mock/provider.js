@@ -0,0 +1,259 @@
+// Mock market data served from recorded fixtures, for development and demos without network access.
+// Turn it on with ?mock=1 (remembered until ?mock=0). ?mockSpeed and ?mockVolatility tune the
+// simulated price movement that is replayed on top of the fixtures.
+const mockProvider = {
+    name: 'mock',
+    label: 'Mock data',
+    simulated: true,
+    fixturesUrl: 'mock/fixtures',
+    storageKey: 'mockMarketData',
+    stepInterval: 5000,
+    speed: 1,
+    volatility: 0.002,
+
+    startedAt: Date.now(),
+    walks: new Map(),
+
+    isEnabled() {
+        const params = new URLSearchParams(window.location.search);
+        const flag = params.get('mock');
+        if (flag !== null) {
+            const enabled = flag !== '0' && flag !== 'false';
+            const settings = {
+                enabled,
+                speed: Number(params.get('mockSpeed')) || this.speed,
+                volatility: Number(params.get('mockVolatility')) || this.volatility
+            };
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        }
+
+        const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        if (!saved || !saved.enabled) return false;
+
+        this.speed = saved.speed;
+        this.volatility = saved.volatility;
+        return true;
+    },
+
+    fixture(path) {
+        return marketData.request(`${this.fixturesUrl}/${path}`, { ttl: Infinity, priority: 'high' });
+    },
+
+    // Deterministic pseudo-random number in [0, 1) for a seed
+    random(seed) {
+        let t = (seed + 0x6D2B79F5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    hash(text) {
+        return [...text].reduce((hash, char) => Math.imul(hash, 31) + char.charCodeAt(0) | 0, 7);
+    },
+
+    // Multiplier the simulated walk has moved a coin's price by at a point in time.
+    // Times before the page loaded are untouched, so the recorded history stays as it was.
+    factor(coinId, time) {
+        const step = Math.floor(Math.max(0, time - this.startedAt) * this.speed / this.stepInterval);
+        if (!this.walks.has(coinId)) {
+            this.walks.set(coinId, [0]);
+        }
+
+        const walk = this.walks.get(coinId);
+        const seed = this.hash(coinId);
+        while (walk.length <= step) {
+            const noise = this.random(seed + walk.length) * 2 - 1;
+            walk.push(walk[walk.length - 1] + noise * this.volatility);
+        }
+
+        return Math.exp(walk[step]);
+    },
+
+    async rate(currency) {
+        const prices = await this.fixture('simple-price.json');
+        const rate = prices.bitcoin[currency] / prices.bitcoin.usd;
+        if (!rate) throw marketData.unsupported(`No mock rate for ${currency}`);
+        return rate;
+    },
+
+    async market(coinId) {
+        const markets = await this.fixture('coins-markets.json');
+        return markets.find(coin => coin.id === coinId) || null;
+    },
+
+    // Recorded daily history, shifted so it ends now. Coins without a recording of their
+    // own reuse the bitcoin history rescaled to their fixture price.
+    async history(coinId) {
+        let series;
+        let scale = 1;
+        try {
+            series = await this.fixture(`market_chart/${coinId}.json`);
+        } catch (error) {
+            const [bitcoin, coin] = await Promise.all([this.fixture('market_chart/bitcoin.json'), this.market(coinId)]);
+            if (!coin) throw error;
+
+            series = bitcoin;
+            scale = coin.current_price / bitcoin.prices[bitcoin.prices.length - 1][1];
+        }
+
+        const offset = Date.now() - series.prices[series.prices.length - 1][0];
+        const shift = points => points.map(([time, value]) => [time + offset, value * scale]);
+        return {
+            prices: shift(series.prices),
+            market_caps: shift(series.market_caps),
+            total_volumes: shift(series.total_volumes)
+        };
+    },
+
+    // Linear interpolation between recorded points
+    valueAt(points, time) {
+        if (time <= points[0][0]) return points[0][1];
+
+        const index = points.findIndex(([pointTime]) => pointTime >= time);
+        if (index === -1) return points[points.length - 1][1];
+
+        const [t0, v0] = points[index - 1];
+        const [t1, v1] = points[index];
+        return v0 + (v1 - v0) * (time - t0) / (t1 - t0);
+    },
+
+    granularity(span) {
+        const hour = 60 * 60 * 1000;
+        if (span <= 24 * hour) return 5 * 60 * 1000;
+        if (span <= 90 * 24 * hour) return hour;
+        return 24 * hour;
+    },
+
+    async getPrices({ ids, vsCurrencies, include24hrChange, includeMarketCap, includeLastUpdatedAt }) {
+        const [prices, markets] = await Promise.all([this.fixture('simple-price.json'), this.fixture('coins-markets.json')]);
+        const rates = await Promise.all(vsCurrencies.map(currency => this.rate(currency)));
+        const now = Date.now();
+
+        return ids.reduce((acc, id) => {
+            const market = markets.find(coin => coin.id === id);
+            const usd = prices[id]?.usd ?? market?.current_price;
+            if (usd === undefined) return acc;
+
+            const factor = this.factor(id, now);
+            const change = prices[id]?.usd_24h_change ?? market.price_change_percentage_24h;
+            const marketCap = prices[id]?.usd_market_cap ?? market.market_cap;
+
+            const entry = {};
+            vsCurrencies.forEach((currency, index) => {
+                entry[currency] = usd * factor * rates[index];
+                if (include24hrChange) entry[`${currency}_24h_change`] = ((1 + change / 100) * factor - 1) * 100;
+                if (includeMarketCap) entry[`${currency}_market_cap`] = marketCap * factor * rates[index];
+            });
+            if (includeLastUpdatedAt) entry.last_updated_at = Math.floor(now / 1000);
+
+            acc[id] = entry;
+            return acc;
+        }, {});
+    },
+
+    getMarketChart({ coinId, vsCurrency, days }) {
+        const to = Date.now();
+        const from = days === 'max' ? 0 : to - days * 24 * 60 * 60 * 1000;
+        return this.getMarketChartRange({ coinId, vsCurrency, from, to });
+    },
+
+    async getMarketChartRange({ coinId, vsCurrency, from, to }) {
+        const history = await this.history(coinId);
+        const rate = await this.rate(vsCurrency);
+        const step = this.granularity(to - from);
+        const seed = this.hash(coinId);
+        const result = { prices: [], market_caps: [], total_volumes: [] };
+
+        for (let time = Math.max(from, history.prices[0][0]); time <= to; time += step) {
+            // A little noise keeps intraday views from being straight lines between daily points
+            const jitter = 1 + (this.random(seed + Math.floor(time / step)) - 0.5) * 0.004;
+            const factor = this.factor(coinId, time) * rate;
+
+            result.prices.push([time, this.valueAt(history.prices, time) * jitter * factor]);
+            result.market_caps.push([time, this.valueAt(history.market_caps, time) * jitter * factor]);
+            result.total_volumes.push([time, this.valueAt(history.total_volumes, time) * rate]);
+        }
+
+        return result;
+    },
+
+    async getMarkets({ vsCurrency, perPage, page }) {
+        const markets = await this.fixture('coins-markets.json');
+        const rate = await this.rate(vsCurrency);
+        const now = Date.now();
+
+        return markets.slice((page - 1) * perPage, page * perPage).map(coin => {
+            const factor = this.factor(coin.id, now) * rate;
+            return {
+                ...coin,
+                current_price: coin.current_price * factor,
+                market_cap: coin.market_cap * factor,
+                total_volume: coin.total_volume * rate,
+                high_24h: Math.max(coin.high_24h * rate, coin.current_price * factor),
+                low_24h: Math.min(coin.low_24h * rate, coin.current_price * factor),
+                price_change_percentage_7d: coin.price_change_percentage_7d_in_currency,
+                price_change_percentage_30d: coin.price_change_percentage_30d_in_currency
+            };
+        });
+    },
+
+    getTrending() {
+        return this.fixture('search-trending.json');
+    },
+
+    getGlobal() {
+        return this.fixture('global.json');
+    },
+
+    async getCoinList() {
+        const markets = await this.fixture('coins-markets.json');
+        return markets.map(({ id, symbol, name }) => ({ id, symbol, name }));
+    },
+
+    async getCoin({ coinId }) {
+        let coin;
+        try {
+            coin = await this.fixture(`coins/${coinId}.json`);
+        } catch (error) {
+            const market = await this.market(coinId);
+            if (!market) throw error;
+
+            coin = {
+                id: market.id,
+                symbol: market.symbol,
+                name: market.name,
+                image: { large: market.image },
+                market_cap_rank: market.market_cap_rank,
+                links: { homepage: [] },
+                market_data: {
+                    current_price: { usd: market.current_price },
+                    market_cap: { usd: market.market_cap },
+                    total_volume: { usd: market.total_volume },
+                    high_24h: { usd: market.high_24h },
+                    low_24h: { usd: market.low_24h },
+                    ath: { usd: market.ath },
+                    atl: { usd: market.atl },
+                    circulating_supply: market.circulating_supply,
+                    total_supply: market.total_supply,
+                    max_supply: market.max_supply
+                }
+            };
+        }
+
+        // Move every quoted price along with the simulation
+        const factor = this.factor(coinId, Date.now());
+        const quotes = { ...coin.market_data };
+        ['current_price', 'market_cap'].forEach(field => {
+            quotes[field] = Object.fromEntries(
+                Object.entries(coin.market_data[field]).map(([currency, value]) => [currency, value * factor])
+            );
+        });
+
+        return { ...coin, market_data: quotes };
+    }
+};
+
+// Serve every module from fixtures while mock mode is on
+if (mockProvider.isEnabled()) {
+    marketData.providers = [mockProvider];
+}
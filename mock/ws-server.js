@@ -0,0 +1,173 @@
+// Mock Binance-style ticker WebSocket for testing the price stream without network access.
+// Uses only Node built-ins: node mock/ws-server.js [port]  (default 8765)
+// Then open the app with ?mock=1, or point it here with ?stream=ws://localhost:8765/stream
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8765);
+const TICK_INTERVAL = 1000;
+const VOLATILITY = Number(process.env.VOLATILITY || 0.002);
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Starting prices come from the same fixtures the mock provider serves
+const markets = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'coins-markets.json'), 'utf8'));
+const tickers = new Map(markets.map(coin => [
+    `${coin.symbol.toUpperCase()}USDT`,
+    { open: coin.current_price / (1 + coin.price_change_percentage_24h / 100), price: coin.current_price }
+]));
+
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of the buffer. Client frames are always masked.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        if (buffer.length < cursor + 4 + length) break;
+        const mask = buffer.subarray(cursor, cursor + 4);
+        const payload = Buffer.from(buffer.subarray(cursor + 4, cursor + 4 + length));
+        payload.forEach((byte, index) => {
+            payload[index] = byte ^ mask[index % 4];
+        });
+
+        frames.push({ opcode, payload });
+        offset = cursor + 4 + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function handleConnection(socket) {
+    const streams = new Set();
+    let buffer = Buffer.alloc(0);
+
+    const send = message => {
+        if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+    };
+
+    const timer = setInterval(() => {
+        streams.forEach(stream => {
+            const symbol = stream.split('@')[0].toUpperCase();
+            const ticker = tickers.get(symbol);
+            if (!ticker) return;
+
+            send({
+                stream,
+                data: {
+                    e: '24hrTicker',
+                    E: Date.now(),
+                    s: symbol,
+                    c: ticker.price.toFixed(8),
+                    P: ((ticker.price / ticker.open - 1) * 100).toFixed(3)
+                }
+            });
+        });
+    }, TICK_INTERVAL);
+
+    socket.on('data', chunk => {
+        const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+
+        decoded.frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x8) {
+                socket.end(Buffer.from([0x88, 0]));
+                return;
+            }
+            if (opcode === 0x9) {
+                socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+                return;
+            }
+            if (opcode !== 0x1) return;
+
+            let request;
+            try {
+                request = JSON.parse(payload.toString());
+            } catch (error) {
+                send({ error: { code: 2, msg: 'Invalid JSON' } });
+                return;
+            }
+
+            if (request.method === 'SUBSCRIBE') {
+                request.params.forEach(stream => streams.add(stream.toLowerCase()));
+            } else if (request.method === 'UNSUBSCRIBE') {
+                request.params.forEach(stream => streams.delete(stream.toLowerCase()));
+            }
+            send({ result: null, id: request.id });
+        });
+    });
+
+    socket.on('close', () => clearInterval(timer));
+    socket.on('error', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This server only speaks WebSocket');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    handleConnection(socket);
+});
+
+// Every price takes one random step per tick, shared by all connections
+setInterval(() => {
+    tickers.forEach(ticker => {
+        ticker.price *= Math.exp((Math.random() * 2 - 1) * VOLATILITY);
+    });
+}, TICK_INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Mock price stream listening on ws://localhost:${PORT}/stream`);
+});
@@ -0,0 +1,164 @@
+// The portfolio's value and cost basis at the close of every day (UTC) since its first
+// transaction, rebuilt from the ledger and daily prices. Finished days are kept in IndexedDB per
+// quote currency and only worked out again when the ledger changes.
+const portfolioHistory = {
+    storeName: 'snapshots',
+    dayLength: 24 * 60 * 60 * 1000,
+    // Longer windows come back from chartHistory as daily points, which are cached for good
+    dailySpan: 91 * 24 * 60 * 60 * 1000,
+    ranges: {
+        '7d': 7 * 24 * 60 * 60 * 1000,
+        '30d': 30 * 24 * 60 * 60 * 1000,
+        '1y': 365 * 24 * 60 * 60 * 1000,
+        all: Infinity
+    },
+
+    loading: new Map(),
+
+    // Changes whenever a transaction is added, removed or edited
+    signature() {
+        const text = JSON.stringify(portfolioLedger.sorted().map(({ id, type, coinId, time, amount, price, fee, currency, rates }) =>
+            [id, type, coinId, time, amount, price, fee, currency, rates]
+        ));
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) | 0;
+        }
+        return `${portfolioLedger.transactions.length}:${hash}`;
+    },
+
+    // Snapshots of every finished day, newest last, and the coins left out of them for having
+    // no price history; concurrent callers share one load
+    load(currency = quoteCurrency.current) {
+        const signature = this.signature();
+        const key = `portfolio:${currency}:${signature}`;
+        if (!this.loading.has(key)) {
+            const request = this.update(currency, signature).finally(() => this.loading.delete(key));
+            this.loading.set(key, request);
+        }
+        return this.loading.get(key);
+    },
+
+    async update(currency, signature) {
+        const transactions = portfolioLedger.sorted();
+        if (transactions.length === 0) return { days: [], missing: [] };
+
+        const key = `portfolio:${currency}`;
+        const cached = await localDb.get(this.storeName, key).catch(() => null);
+        // A history with coins left out is worked out again a day later, in case they have
+        // prices by then
+        const usable = cached && cached.signature === signature &&
+            (!cached.missing?.length || Date.now() - cached.updatedAt < this.dayLength);
+        let days = usable ? cached.days : [];
+        let missing = usable ? cached.missing || [] : [];
+
+        const firstDay = Math.floor(transactions[0].time / this.dayLength);
+        const lastFinished = Math.floor(Date.now() / this.dayLength) - 1;
+        const nextDay = days.length > 0 ? days[days.length - 1].day + 1 : firstDay;
+
+        if (nextDay <= lastFinished) {
+            const added = await this.build(nextDay, lastFinished, currency, missing);
+            if (added.missing.length > missing.length && days.length > 0) {
+                // Every day has to leave out the same coins, so start over without the new ones
+                ({ days, missing } = await this.build(firstDay, lastFinished, currency, added.missing));
+            } else {
+                days = [...days, ...added.days];
+                missing = added.missing;
+            }
+
+            try {
+                await localDb.put(this.storeName, { key, signature, days, missing, updatedAt: Date.now() });
+            } catch (error) {
+                console.warn('Error saving portfolio history:', error);
+            }
+        }
+
+        return { days, missing };
+    },
+
+    // Coins no provider has a history for (delisted, too new) are left out, their cost with
+    // them, rather than failing the whole history
+    async build(fromDay, toDay, currency, exclude = []) {
+        const to = (toDay + 1) * this.dayLength;
+        // Start a day early so the first close has a price before it
+        const from = Math.min(fromDay * this.dayLength - this.dayLength, to - this.dailySpan);
+
+        const candidates = portfolioLedger.coinIds().filter(coinId => !exclude.includes(coinId));
+        const results = await Promise.allSettled(candidates.map(coinId =>
+            marketData.getMarketChartRange(coinId, { vsCurrency: currency, from, to, priority: 'low' })
+                .then(data => data.prices)
+        ));
+
+        // Anything but a provider not knowing the coin may pass, so nothing is cached without it
+        const transient = results.find(({ status, reason }) =>
+            status === 'rejected' && !reason.unsupported && reason.status !== 404 && reason.status !== 400
+        );
+        if (transient) throw transient.reason;
+
+        const failed = candidates.filter((coinId, index) =>
+            results[index].status === 'rejected' || results[index].value.length === 0
+        );
+        failed.forEach(coinId => {
+            const { reason } = results[candidates.indexOf(coinId)];
+            console.warn(`No price history for ${coinId}:`, reason?.message || 'empty series');
+        });
+
+        const missing = [...exclude, ...failed];
+        const coinIds = candidates.filter(coinId => !failed.includes(coinId));
+        if (coinIds.length === 0) return { days: [], missing };
+
+        const series = coinIds.map(coinId => results[candidates.indexOf(coinId)].value);
+        const cursors = coinIds.map(() => 0);
+        const days = [];
+        for (let day = fromDay; day <= toDay; day++) {
+            const close = (day + 1) * this.dayLength - 1;
+            const snapshot = { day, time: close, value: 0, cost: 0, values: {} };
+
+            coinIds.forEach((coinId, index) => {
+                const position = portfolioLedger.position(portfolioLedger.forCoin(coinId), close);
+                if (position.amount === 0 && position.cost === 0) return;
+
+                snapshot.cost += position.cost;
+                const price = this.priceAt(series[index], cursors, index, close);
+                const value = price === null ? 0 : position.amount * price;
+                snapshot.values[coinId] = value;
+                snapshot.value += value;
+            });
+
+            days.push(snapshot);
+        }
+        return { days, missing };
+    },
+
+    // The last price at or before a time, walking forward from where the previous day stopped.
+    // Before a coin's first price its first one stands in.
+    priceAt(prices, cursors, index, time) {
+        if (!prices || prices.length === 0) return null;
+
+        while (cursors[index] + 1 < prices.length && prices[cursors[index] + 1][0] <= time) {
+            cursors[index]++;
+        }
+        return prices[cursors[index]][1];
+    },
+
+    // Right now, at the latest prices (coinId → price in the quote currency), leaving out the
+    // same coins as the history
+    current(prices, missing = []) {
+        const snapshot = { time: Date.now(), value: 0, cost: 0, values: {} };
+        portfolioLedger.coinIds().filter(coinId => !missing.includes(coinId)).forEach(coinId => {
+            const position = portfolioLedger.position(portfolioLedger.forCoin(coinId));
+            if (position.amount === 0 && position.cost === 0) return;
+
+            snapshot.cost += position.cost;
+            const value = position.amount * (prices[coinId] ?? 0);
+            snapshot.values[coinId] = value;
+            snapshot.value += value;
+        });
+        return snapshot;
+    },
+
+    inRange(snapshots, range, now = Date.now()) {
+        const start = now - this.ranges[range];
+        return snapshots.filter(snapshot => snapshot.time >= start);
+    }
+};
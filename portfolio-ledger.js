@@ -0,0 +1,222 @@
+// The portfolio as a ledger of transactions. Holdings, average cost and profit/loss are all
+// derived from it rather than stored. Every transaction keeps the currency it was entered in,
+// along with the exchange rates of its date, and is converted to the quote currency at those
+// rates when positions are worked out.
+const portfolioLedger = {
+    storageKey: 'cryptoLedger',
+    // Before the ledger each asset was a single buy
+    legacyKey: 'cryptoPortfolio',
+    // direction: whether the coins come into or leave the portfolio
+    types: {
+        buy: { label: 'Buy', direction: 1 },
+        sell: { label: 'Sell', direction: -1 },
+        transfer_in: { label: 'Transfer in', direction: 1 },
+        transfer_out: { label: 'Transfer out', direction: -1 },
+        fee: { label: 'Fee', direction: -1 },
+        airdrop: { label: 'Airdrop', direction: 1 }
+    },
+
+    transactions: [],
+    // Anything from the last day is converted at the latest rates
+    recentRates: 24 * 60 * 60 * 1000,
+    fillingRates: null,
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.transactions = JSON.parse(saved);
+                return;
+            }
+
+            const legacy = localStorage.getItem(this.legacyKey);
+            if (legacy) {
+                this.transactions = this.migrate(JSON.parse(legacy));
+                this.save();
+                localStorage.removeItem(this.legacyKey);
+            }
+        } catch (error) {
+            console.error('Error loading portfolio ledger:', error);
+            this.transactions = [];
+        }
+    },
+
+    // Older assets were USD and only some have a purchase date; the rest were bought when added
+    migrate(assets) {
+        return assets.map(asset => ({
+            id: asset.id,
+            type: 'buy',
+            coinId: asset.coinId,
+            coinName: asset.coinName,
+            time: asset.purchasedAt || asset.id,
+            amount: asset.amount,
+            price: asset.purchasePrice,
+            fee: 0,
+            currency: asset.currency || 'usd',
+            note: ''
+        }));
+    },
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.transactions));
+    },
+
+    // Ids double as creation times, so two added in the same millisecond still differ
+    nextId() {
+        const last = this.transactions.reduce((max, item) => Math.max(max, item.id), 0);
+        return Math.max(Date.now(), last + 1);
+    },
+
+    add(transaction) {
+        return this.addAll([transaction])[0];
+    },
+
+    addAll(transactions) {
+        const added = transactions.map(transaction => {
+            const item = { fee: 0, price: 0, note: '', ...transaction, id: this.nextId() };
+            if (Date.now() - item.time < this.recentRates) item.rates = { ...quoteCurrency.rates };
+            this.transactions.push(item);
+            return item;
+        });
+        this.save();
+        this.fillRates();
+        return added;
+    },
+
+    // Older transactions get the rates of their date from price history. Until then, and for
+    // good if the history can't be had, they are converted at the latest rates.
+    fillRates() {
+        if (this.fillingRates) return this.fillingRates;
+
+        const missing = this.transactions.filter(transaction => !this.hasRates(transaction.rates));
+        if (missing.length === 0) return Promise.resolve();
+
+        this.fillingRates = quoteCurrency.ratesAt(missing.map(transaction => transaction.time))
+            .then(rates => {
+                let filled = 0;
+                missing.forEach((transaction, index) => {
+                    if (!this.hasRates(rates[index])) return;
+                    transaction.rates = rates[index];
+                    filled++;
+                });
+                if (filled === 0) return;
+
+                this.save();
+                document.dispatchEvent(new CustomEvent('portfolioChanged'));
+            })
+            .catch(error => console.warn('Error loading historical exchange rates:', error))
+            .finally(() => {
+                this.fillingRates = null;
+            });
+        return this.fillingRates;
+    },
+
+    hasRates(rates) {
+        return Boolean(rates) && quoteCurrency.supported.every(currency => rates[currency] > 0);
+    },
+
+    // An amount of the transaction's currency in the quote currency, at the rates of its date
+    convert(value, transaction) {
+        const rates = this.hasRates(transaction.rates) ? transaction.rates : quoteCurrency.rates;
+        return quoteCurrency.convert(value || 0, transaction.currency, quoteCurrency.current, rates);
+    },
+
+    remove(id) {
+        this.transactions = this.transactions.filter(transaction => transaction.id !== id);
+        this.save();
+    },
+
+    removeCoin(coinId) {
+        this.transactions = this.transactions.filter(transaction => transaction.coinId !== coinId);
+        this.save();
+    },
+
+    // Oldest first; transactions at the same time stay in the order they were added
+    sorted(transactions = this.transactions) {
+        return [...transactions].sort((a, b) => a.time - b.time || a.id - b.id);
+    },
+
+    forCoin(coinId) {
+        return this.sorted(this.transactions.filter(transaction => transaction.coinId === coinId));
+    },
+
+    coinIds() {
+        return [...new Set(this.transactions.map(transaction => transaction.coinId))];
+    },
+
+    // Average cost method, in the quote currency:
+    // - buys add their cost plus fee; airdrops and transfers in add their price as cost, 0 if none
+    // - sells realize proceeds less fee minus the average cost of what was sold
+    // - transfers out take coins out at average cost, realizing nothing but their fee
+    // - fees paid in the coin take it out at average cost as a loss
+    position(transactions, until = Infinity) {
+        const position = { amount: 0, cost: 0, averageCost: null, realized: 0, fees: 0, invested: 0 };
+
+        this.sorted(transactions).forEach(transaction => {
+            if (transaction.time > until) return;
+
+            const convert = value => this.convert(value, transaction);
+            const fee = convert(transaction.fee);
+            position.fees += fee;
+
+            if (this.types[transaction.type].direction > 0) {
+                const cost = transaction.amount * convert(transaction.price) + fee;
+                position.amount += transaction.amount;
+                position.cost += cost;
+                position.invested += cost;
+                return;
+            }
+
+            const removed = Math.min(transaction.amount, position.amount);
+            const basis = position.amount > 0 ? position.cost * removed / position.amount : 0;
+            position.amount -= removed;
+            position.cost -= basis;
+
+            if (transaction.type === 'sell') {
+                position.realized += removed * convert(transaction.price) - fee - basis;
+            } else if (transaction.type === 'fee') {
+                position.realized -= basis + fee;
+                position.fees += basis;
+            } else {
+                position.realized -= fee;
+            }
+        });
+
+        // Leftovers of floating point arithmetic after selling everything
+        if (Math.abs(position.amount) < 1e-12) {
+            position.amount = 0;
+            position.cost = 0;
+        }
+        position.averageCost = position.amount > 0 ? position.cost / position.amount : null;
+        return position;
+    },
+
+    // One position per coin, in the order the coins were first added
+    holdings() {
+        return this.coinIds().map(coinId => {
+            const transactions = this.forCoin(coinId);
+            return {
+                coinId,
+                coinName: transactions[transactions.length - 1].coinName,
+                ...this.position(transactions)
+            };
+        });
+    },
+
+    // The first transaction that takes out more coins than were held at its time, if any
+    shortfall(transactions) {
+        let amount = 0;
+        for (const transaction of this.sorted(transactions)) {
+            const direction = this.types[transaction.type].direction;
+            if (direction < 0 && transaction.amount > amount + 1e-12) {
+                return { transaction, available: amount };
+            }
+            amount += direction * transaction.amount;
+        }
+        return null;
+    }
+};
+
+// Load the ledger, migrating the old portfolio if there is one
+portfolioLedger.load();
+portfolioLedger.fillRates();
@@ -0,0 +1,219 @@
+// Target allocations and the trades that bring the portfolio back to them. A target is a weight
+// for one coin or a group of coins; held coins outside every target count as a target of 0%.
+// Values are in the quote currency, like the rest of the portfolio.
+const rebalancing = {
+    storageKey: 'rebalanceSettings',
+
+    // The minimum trade and cash keep the currency they were entered in
+    settings: {
+        targets: [],
+        minTrade: 0,
+        cash: 0,
+        currency: 'usd',
+        noSells: false
+    },
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) this.settings = { ...this.settings, ...saved };
+        } catch (error) {
+            console.error('Error loading rebalance settings:', error);
+        }
+    },
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    },
+
+    // Amounts are stored in the currency they were last entered in
+    update(changes) {
+        if ('minTrade' in changes || 'cash' in changes) {
+            const current = this.amounts();
+            this.settings.minTrade = current.minTrade;
+            this.settings.cash = current.cash;
+            this.settings.currency = quoteCurrency.current;
+        }
+        this.settings = { ...this.settings, ...changes };
+        this.save();
+    },
+
+    amounts() {
+        const convert = value => quoteCurrency.convert(value || 0, this.settings.currency) || 0;
+        return { minTrade: convert(this.settings.minTrade), cash: convert(this.settings.cash) };
+    },
+
+    addTarget(target) {
+        const id = this.settings.targets.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+        this.settings.targets.push({ name: '', weight: 0, coinIds: [], ...target, id });
+        this.save();
+        return id;
+    },
+
+    updateTarget(id, changes) {
+        this.settings.targets = this.settings.targets.map(target => target.id === id ? { ...target, ...changes } : target);
+        this.save();
+    },
+
+    removeTarget(id) {
+        this.settings.targets = this.settings.targets.filter(target => target.id !== id);
+        this.save();
+    },
+
+    // A coin belongs to at most one target, so assigning it takes it out of the others
+    assignCoin(id, coinId, included) {
+        this.settings.targets.forEach(target => {
+            const others = target.coinIds.filter(item => item !== coinId);
+            target.coinIds = target.id === id && included ? [...others, coinId] : others;
+        });
+        this.save();
+    },
+
+    // One target per held coin at its current weight, rounded to a tenth of a percent with
+    // whatever rounding leaves over going to the largest
+    targetsFrom(allocation) {
+        this.settings.targets = [];
+        allocation.forEach(item => {
+            this.addTarget({ name: item.symbol, weight: Math.round(item.weight * 1000) / 10, coinIds: [item.coinId] });
+        });
+        if (this.settings.targets.length > 0) {
+            const largest = this.settings.targets[0];
+            largest.weight = Math.round((largest.weight + 100 - this.totalWeight()) * 10) / 10;
+            this.save();
+        }
+    },
+
+    totalWeight() {
+        return this.settings.targets.reduce((total, target) => total + (Number(target.weight) || 0), 0);
+    },
+
+    // Held coins with a price, largest first
+    allocation(holdings, prices) {
+        const items = holdings
+            .filter(holding => holding.amount > 0 && prices[holding.coinId] !== undefined)
+            .map(holding => ({
+                coinId: holding.coinId,
+                coinName: holding.coinName,
+                symbol: taxLots.symbol(holding),
+                amount: holding.amount,
+                price: prices[holding.coinId],
+                value: holding.amount * prices[holding.coinId]
+            }))
+            .sort((a, b) => b.value - a.value);
+
+        const total = items.reduce((sum, item) => sum + item.value, 0);
+        return items.map(item => ({ ...item, weight: total > 0 ? item.value / total : 0 }));
+    },
+
+    // What needs fixing before there can be a plan
+    problems(targets = this.settings.targets) {
+        if (targets.length === 0) return ['Add a target to plan a rebalance.'];
+
+        const problems = [];
+        const total = targets.reduce((sum, target) => sum + (Number(target.weight) || 0), 0);
+        if (Math.abs(total - 100) > 0.01) {
+            problems.push(`Target weights add up to ${Number(total.toFixed(2))}%, not 100%.`);
+        }
+        targets.filter(target => target.coinIds.length === 0).forEach(target => {
+            problems.push(`${target.name || 'A target'} has no coins.`);
+        });
+        return problems;
+    },
+
+    // Every target with its coins' value, plus the held coins no target covers
+    buckets(allocation, targets = this.settings.targets) {
+        const total = allocation.reduce((sum, item) => sum + item.value, 0);
+        const assigned = new Set(targets.flatMap(target => target.coinIds));
+
+        const buckets = targets.map(target => ({
+            id: target.id,
+            name: target.name || target.coinIds.map(coinId => taxLots.symbol({ coinId })).join(', '),
+            coinIds: target.coinIds,
+            targetWeight: (Number(target.weight) || 0) / 100
+        }));
+        const untargeted = allocation.filter(item => !assigned.has(item.coinId)).map(item => item.coinId);
+        if (untargeted.length > 0) {
+            buckets.push({ id: null, name: 'No target', coinIds: untargeted, targetWeight: 0 });
+        }
+
+        return buckets.map(bucket => {
+            const value = allocation
+                .filter(item => bucket.coinIds.includes(item.coinId))
+                .reduce((sum, item) => sum + item.value, 0);
+            const weight = total > 0 ? value / total : 0;
+            return { ...bucket, value, weight, drift: weight - bucket.targetWeight };
+        });
+    },
+
+    // The trades that bring every target back to its weight, with any cash added first:
+    // - targets whose trade would be smaller than the minimum are left as they are and the
+    //   others are balanced among themselves
+    // - with no sells, overweight targets are left alone too and the cash is spread over the
+    //   rest so they end up equally close to their weights
+    // Trades of a group are split between its coins by their value, or evenly if none is held.
+    // Targets without a price for any of their coins are left out.
+    plan(allocation, prices, { minTrade = 0, cash = 0, noSells = false } = {}) {
+        const buckets = this.buckets(allocation).filter(bucket => bucket.targetWeight > 0 || bucket.value > 0);
+        // Coins can only be bought at a known price
+        const unpriced = buckets.filter(bucket => !bucket.coinIds.some(coinId => prices[coinId] > 0));
+        let active = buckets.filter(bucket => !unpriced.includes(bucket));
+        let changes = new Map();
+
+        while (active.length > 0) {
+            const weights = active.reduce((sum, bucket) => sum + bucket.targetWeight, 0);
+            const total = active.reduce((sum, bucket) => sum + bucket.value, 0) + cash;
+            if (weights === 0 && noSells) break;
+
+            changes = new Map(active.map(bucket => {
+                const goal = weights > 0 ? total * bucket.targetWeight / weights : 0;
+                return [bucket, goal - bucket.value];
+            }));
+
+            const overweight = noSells ? active.filter(bucket => changes.get(bucket) < -1e-9) : [];
+            const small = active.filter(bucket => Math.abs(changes.get(bucket)) > 1e-9 && Math.abs(changes.get(bucket)) < minTrade);
+            const dropped = overweight.length > 0 ? overweight : small;
+            if (dropped.length === 0) break;
+
+            active = active.filter(bucket => !dropped.includes(bucket));
+            changes = new Map();
+        }
+
+        const trades = [];
+        changes.forEach((change, bucket) => {
+            if (Math.abs(change) <= 1e-9) return;
+            this.split(bucket, change, allocation, prices).forEach(trade => trades.push(trade));
+        });
+
+        const invested = [...changes.values()].reduce((sum, change) => sum + change, 0);
+        return {
+            trades: trades.sort((a, b) => (a.side === 'sell' ? 0 : 1) - (b.side === 'sell' ? 0 : 1) || b.value - a.value),
+            cashLeft: Math.max(0, cash - invested),
+            unpriced: unpriced.map(bucket => bucket.name)
+        };
+    },
+
+    split(bucket, change, allocation, prices) {
+        const coins = bucket.coinIds
+            .filter(coinId => prices[coinId] > 0)
+            .map(coinId => ({ coinId, value: allocation.find(item => item.coinId === coinId)?.value || 0 }));
+        const held = coins.reduce((sum, coin) => sum + coin.value, 0);
+
+        return coins
+            .map(coin => {
+                const share = held > 0 ? coin.value / held : 1 / coins.length;
+                const value = change * share;
+                return {
+                    coinId: coin.coinId,
+                    bucket: bucket.name,
+                    side: value > 0 ? 'buy' : 'sell',
+                    value: Math.abs(value),
+                    amount: Math.abs(value) / prices[coin.coinId],
+                    price: prices[coin.coinId]
+                };
+            })
+            .filter(trade => trade.value > 1e-9);
+    }
+};
+
+// Load saved targets
+rebalancing.load();
@@ -0,0 +1,87 @@
+// One timer for every periodic refresh in the app. Modules register named jobs; registering a
+// name twice merges the two into a single job at the shorter interval. While the tab is hidden
+// jobs are paused (or slowed down with whenHidden: 'slow'), and anything that fell due in the
+// meantime runs once as soon as the tab is visible again.
+const refreshScheduler = {
+    hiddenSlowdown: 5,
+    minDelay: 1000,
+
+    jobs: new Map(),
+    timer: null,
+
+    init() {
+        document.addEventListener('visibilitychange', () => this.schedule());
+    },
+
+    register(name, task, { interval, whenHidden = 'pause' } = {}) {
+        const existing = this.jobs.get(name);
+        this.jobs.set(name, {
+            name,
+            task,
+            interval: existing ? Math.min(existing.interval, interval) : interval,
+            whenHidden: existing?.whenHidden === 'slow' ? 'slow' : whenHidden,
+            lastRun: existing ? existing.lastRun : Date.now(),
+            running: existing ? existing.running : false
+        });
+        this.schedule();
+    },
+
+    unregister(name) {
+        this.jobs.delete(name);
+        this.schedule();
+    },
+
+    // When a job is next due, or Infinity while it is paused or still running
+    dueAt(job) {
+        if (job.running) return Infinity;
+        if (!document.hidden) return job.lastRun + job.interval;
+        if (job.whenHidden === 'slow') return job.lastRun + job.interval * this.hiddenSlowdown;
+        return Infinity;
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const next = Math.min(...[...this.jobs.values()].map(job => this.dueAt(job)));
+        if (next === Infinity) return;
+
+        const delay = Math.max(0, next - Date.now());
+        this.timer = setTimeout(() => this.runDue(), delay);
+    },
+
+    runDue() {
+        const now = Date.now();
+        this.jobs.forEach(job => {
+            // Anything within a second of being due goes now rather than waking up again for it
+            if (this.dueAt(job) <= now + this.minDelay) this.run(job);
+        });
+        this.schedule();
+    },
+
+    // A job still running from last time is skipped rather than started twice.
+    // It is scheduled again once it finishes.
+    async run(job) {
+        if (job.running) return;
+
+        job.running = true;
+        job.lastRun = Date.now();
+        try {
+            await job.task();
+        } catch (error) {
+            console.error(`Error refreshing ${job.name}:`, error);
+        } finally {
+            job.running = false;
+            this.schedule();
+        }
+    },
+
+    // Run every job now, e.g. after coming back online
+    runAll() {
+        this.jobs.forEach(job => this.run(job));
+        this.schedule();
+    }
+};
+
+// Initialize refresh scheduler
+refreshScheduler.init();
@@ -41,7 +41,9 @@ document.addEventListener('DOMContentLoaded', () => {
             errorContainer.style.color = 'white';
             errorContainer.style.padding = '10px';
             errorContainer.style.borderRadius = '5px';
-            errorContainer.textContent = 'An error occurred. Please refresh the page.';
+            errorContainer.textContent = navigator.onLine
+                ? 'An error occurred. Please refresh the page.'
+                : 'You are offline. Showing the last known data until the connection is back.';
             document.body.appendChild(errorContainer);
         },
         
@@ -120,26 +122,10 @@ document.addEventListener('DOMContentLoaded', () => {
         },
         
         setupPeriodicUpdates() {
-            // Update data periodically
-            const updateData = () => {
-                try {
-                    cryptoChart?.updateChart?.();
-                    watchlist?.updatePrices?.();
-                    priceAlerts?.checkAlerts?.();
-                } catch (error) {
-                    console.error('Error in periodic update:', error);
-                }
-            };
-
-            // Set up intervals
-            setInterval(updateData, 60000); // Every minute
-            setInterval(() => {
-                try {
-                    trendingCoins?.fetchTrending?.();
-                } catch (error) {
-                    console.error('Error updating trending coins:', error);
-                }
-            }, 900000); // Every 15 minutes
+            // Watchlist and alert prices arrive through priceStream. These merge with the jobs
+            // the modules register themselves, so each refresh still runs once.
+            refreshScheduler.register('chart', () => cryptoChart.updateChart(), { interval: 60000 }); // Every minute
+            refreshScheduler.register('trending', () => trendingCoins.fetchTrending(), { interval: 900000 }); // Every 15 minutes
         }
     };
 
@@ -284,273 +270,155 @@ if (ctaButton) {
     });
 }
 
-// Crypto Chart
+// Crypto Chart: one, two or four chart panes side by side, each with its own coin, timeframe
+// and indicators. The price stats and coin details below them follow the active pane.
 const cryptoChart = {
-    chart: null,
+    storageKey: 'chartLayout',
+    layouts: [1, 2, 4],
+    // Coins for panes opened for the first time, so a new split shows another market
+    defaultCoins: ['bitcoin', 'ethereum', 'solana', 'binancecoin'],
+    panes: [],
+    activePane: null,
+    layout: null,
     elements: {
-        chartCanvas: document.getElementById('cryptoChart'),
-        currentPrice: document.getElementById('currentPrice'),
-        priceChange: document.getElementById('priceChange'),
-        lastUpdated: document.getElementById('lastUpdated'),
-        coinButtons: document.querySelectorAll('.coin-btn'),
-        timeButtons: document.querySelectorAll('.time-btn')
-    },
-    
-    state: {
-        currentCoin: 'bitcoin',
-        currentDays: '1'
+        container: document.getElementById('chartPanes'),
+        template: document.getElementById('chartPaneTemplate'),
+        layoutButtons: document.querySelectorAll('.layout-btn'),
+        syncCrosshair: document.getElementById('chartSyncCrosshair')
     },
 
-    async fetchPriceData(coin, days) {
-        try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/coins/${coin}/market_chart?vs_currency=usd&days=${days}`
-            );
-            const data = await response.json();
-            return data.prices;
-        } catch (error) {
-            console.error('Error fetching price data:', error);
-            return [];
-        }
-    },
+    // Settings from before there were panes carry over to the first one
+    loadLayout() {
+        const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        if (saved) return saved;
 
-    async fetchCurrentData(coin) {
-        try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coin}&vs_currency=usd`
-            );
-            const data = await response.json();
-            return data[coin];
-        } catch (error) {
-            console.error('Error fetching current data:', error);
-            return null;
-        }
+        return {
+            count: 1,
+            active: 0,
+            syncCrosshair: false,
+            panes: [{
+                view: localStorage.getItem('chartView'),
+                logScale: localStorage.getItem('chartLogScale') === 'true',
+                compareCoins: JSON.parse(localStorage.getItem('chartCompareCoins') || 'null')
+            }]
+        };
     },
 
-    formatTimestamp(timestamp) {
-        const date = new Date(timestamp);
-        return date.toLocaleString();
+    // Panes hidden by a smaller layout keep their settings for when they come back
+    saveLayout() {
+        this.panes.forEach((pane, index) => {
+            this.layout.panes[index] = pane.serialize();
+        });
+        this.layout.active = Math.max(0, this.panes.indexOf(this.activePane));
+        localStorage.setItem(this.storageKey, JSON.stringify(this.layout));
     },
 
-    formatPrice(price) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(price);
+    createPane(index) {
+        const root = this.elements.template.content.firstElementChild.cloneNode(true);
+        this.elements.container.append(root);
+
+        const pane = createChartPane(root, {
+            id: `chartPane${index}`,
+            state: this.layout.panes[index] || { coin: this.defaultCoins[index] },
+            onChange: () => this.saveLayout(),
+            onActivate: (source) => this.activate(source),
+            onHover: (source, time) => this.syncCrosshair(source, time)
+        });
+        pane.init();
+        return pane;
     },
 
-    formatPriceChange(change) {
-        const formatted = new Intl.NumberFormat('en-US', {
-            style: 'percent',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(change / 100);
-        
-        return change >= 0 ? `+${formatted}` : formatted;
+    setLayout(count) {
+        if (!this.layouts.includes(count)) count = 1;
+
+        while (this.panes.length > count) {
+            this.panes.pop().destroy();
+        }
+        while (this.panes.length < count) {
+            this.panes.push(this.createPane(this.panes.length));
+        }
+
+        this.layout.count = count;
+        this.elements.container.dataset.count = String(count);
+        if (!this.panes.includes(this.activePane)) {
+            this.activate(this.panes[this.layout.active] || this.panes[0]);
+        }
+        this.renderLayoutControls();
+        this.saveLayout();
     },
 
-    updatePriceInfo(currentData) {
-        if (!currentData) return;
+    activate(pane) {
+        if (pane === this.activePane) return;
 
-        this.elements.currentPrice.textContent = this.formatPrice(currentData.usd);
-        
-        const change = currentData.usd_24h_change;
-        this.elements.priceChange.textContent = this.formatPriceChange(change);
-        this.elements.priceChange.className = change >= 0 ? 'positive' : 'negative';
-        
-        const lastUpdated = new Date(currentData.last_updated_at * 1000);
-        this.elements.lastUpdated.textContent = lastUpdated.toLocaleString();
+        this.activePane = pane;
+        this.panes.forEach(item => item.setActive(item === pane));
+        this.saveLayout();
     },
 
-    async initChart() {
-        const ctx = document.getElementById('cryptoChart').getContext('2d');
-        
-        // Set default styles for the chart
-        Chart.defaults.color = getComputedStyle(document.documentElement).getPropertyValue('--text-color').trim();
-        Chart.defaults.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
-        
-        const chart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                datasets: [{
-                    label: 'Price',
-                    data: [],
-                    borderColor: getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim(),
-                    backgroundColor: 'transparent',
-                    borderWidth: 2,
-                    pointRadius: 0,
-                    yAxisID: 'price'
-                }, {
-                    label: 'Volume',
-                    data: [],
-                    type: 'bar',
-                    backgroundColor: getComputedStyle(document.documentElement).getPropertyValue('--secondary-color').trim() + '40',
-                    borderColor: 'transparent',
-                    yAxisID: 'volume'
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                interaction: {
-                    intersect: false,
-                    mode: 'index'
-                },
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        backgroundColor: getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim(),
-                        titleColor: getComputedStyle(document.documentElement).getPropertyValue('--text-color').trim(),
-                        bodyColor: getComputedStyle(document.documentElement).getPropertyValue('--text-color').trim(),
-                        borderColor: getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim(),
-                        borderWidth: 1,
-                        padding: 12,
-                        displayColors: false
-                    }
-                },
-                scales: {
-                    x: {
-                        type: 'time',
-                        time: {
-                            unit: 'day',
-                            tooltipFormat: 'MMM dd, yyyy HH:mm'
-                        },
-                        grid: {
-                            display: false
-                        },
-                        ticks: {
-                            maxRotation: 0
-                        }
-                    },
-                    price: {
-                        position: 'left',
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim() + '20'
-                        },
-                        ticks: {
-                            callback: value => '$' + value.toLocaleString()
-                        }
-                    },
-                    volume: {
-                        position: 'right',
-                        grid: {
-                            display: false
-                        },
-                        ticks: {
-                            callback: value => {
-                                if (value >= 1e9) return (value / 1e9).toFixed(1) + 'B';
-                                if (value >= 1e6) return (value / 1e6).toFixed(1) + 'M';
-                                if (value >= 1e3) return (value / 1e3).toFixed(1) + 'K';
-                                return value;
-                            }
-                        }
-                    }
-                }
-            }
+    syncCrosshair(source, time) {
+        if (!this.layout.syncCrosshair) return;
+        this.panes.forEach(pane => {
+            if (pane !== source) pane.showCrosshair(time);
         });
-        
-        return chart;
     },
 
-    createChart(prices) {
-        const ctx = this.elements.chartCanvas.getContext('2d');
-        
-        if (this.chart) {
-            this.chart.destroy();
+    toggleSyncCrosshair() {
+        this.layout.syncCrosshair = !this.layout.syncCrosshair;
+        if (!this.layout.syncCrosshair) {
+            this.panes.forEach(pane => pane.showCrosshair(null));
         }
+        this.renderLayoutControls();
+        this.saveLayout();
+    },
 
-        const labels = prices.map(price => new Date(price[0]).toLocaleString());
-        const data = prices.map(price => price[1]);
-
-        const isDarkMode = document.documentElement.getAttribute('data-theme') === 'dark';
-        const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--chart-grid-color').trim();
-        const textColor = getComputedStyle(document.documentElement).getPropertyValue('--chart-text-color').trim();
+    renderLayoutControls() {
+        this.elements.layoutButtons.forEach(button => {
+            const active = Number(button.dataset.panes) === this.layout.count;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
 
-        this.chart = this.initChart();
-        this.chart.data.datasets[0].data = data;
-        this.chart.update();
+        const sync = this.elements.syncCrosshair;
+        if (!sync) return;
+        sync.classList.toggle('active', this.layout.syncCrosshair);
+        sync.setAttribute('aria-pressed', String(this.layout.syncCrosshair));
+        sync.disabled = this.layout.count === 1;
     },
 
-    async updateChart() {
-        const prices = await this.fetchPriceData(this.state.currentCoin, this.state.currentDays);
-        const currentData = await this.fetchCurrentData(this.state.currentCoin);
-        
-        if (prices.length > 0) {
-            this.createChart(prices);
-        }
-        
-        this.updatePriceInfo(currentData);
+    updateChart() {
+        return Promise.all(this.panes.map(pane => pane.updateChart()));
     },
 
     updateChartTheme() {
-        if (!this.chart) return;
-        
-        const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-color').trim();
-        const borderColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
-        const primaryColor = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
-        const secondaryColor = getComputedStyle(document.documentElement).getPropertyValue('--secondary-color').trim();
-        const cardBg = getComputedStyle(document.documentElement).getPropertyValue('--card-bg').trim();
-        
-        // Update chart defaults
-        Chart.defaults.color = textColor;
-        Chart.defaults.borderColor = borderColor;
-        
-        // Update datasets colors
-        this.chart.data.datasets[0].borderColor = primaryColor;
-        this.chart.data.datasets[1].backgroundColor = secondaryColor + '40';
-        
-        // Update tooltip styles
-        this.chart.options.plugins.tooltip.backgroundColor = cardBg;
-        this.chart.options.plugins.tooltip.titleColor = textColor;
-        this.chart.options.plugins.tooltip.bodyColor = textColor;
-        this.chart.options.plugins.tooltip.borderColor = borderColor;
-        
-        // Update grid colors
-        this.chart.options.scales.price.grid.color = borderColor + '20';
-        
-        // Update the chart
-        this.chart.update();
+        this.panes.forEach(pane => pane.updateChartTheme());
     },
 
     setupEventListeners() {
-        // Coin selection
-        this.elements.coinButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                this.elements.coinButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
-                this.state.currentCoin = button.dataset.coin;
-                this.updateChart();
-            });
+        this.elements.layoutButtons.forEach(button => {
+            button.addEventListener('click', () => this.setLayout(Number(button.dataset.panes)));
         });
+        this.elements.syncCrosshair?.addEventListener('click', () => this.toggleSyncCrosshair());
 
-        // Timeframe selection
-        this.elements.timeButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                this.elements.timeButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
-                this.state.currentDays = button.dataset.days;
-                this.updateChart();
-            });
-        });
+        // Update charts when theme changes
+        document.addEventListener('themeChanged', () => this.updateChart());
+        document.addEventListener('quoteCurrencyChanged', () => this.updateChart());
 
-        // Update chart when theme changes
-        document.addEventListener('themeChanged', () => {
-            this.updateChart();
+        // Trade markers are read from the portfolio on every draw
+        document.addEventListener('portfolioChanged', () => {
+            this.panes.forEach(pane => pane.chart?.draw());
         });
+        document.addEventListener('tickHistoryChanged', () => this.updateChart());
     },
 
     init() {
-        if (!this.elements.chartCanvas) return;
-        
+        if (!this.elements.container || !this.elements.template) return;
+
+        this.layout = this.loadLayout();
         this.setupEventListeners();
-        this.updateChart();
+        this.setLayout(this.layout.count);
 
         // Auto-refresh every 5 minutes
-        setInterval(() => this.updateChart(), 5 * 60 * 1000);
+        refreshScheduler.register('chart', () => this.updateChart(), { interval: 5 * 60 * 1000 });
     }
 };
 
@@ -560,66 +428,94 @@ cryptoChart.init();
 // Portfolio Tracker
 const portfolioTracker = {
     elements: {
+        transactionType: document.getElementById('transactionType'),
         coinSelect: document.getElementById('coinSelect'),
         assetAmount: document.getElementById('assetAmount'),
         assetPrice: document.getElementById('assetPrice'),
+        assetFee: document.getElementById('assetFee'),
+        assetDate: document.getElementById('assetDate'),
+        assetNote: document.getElementById('assetNote'),
         addAssetBtn: document.getElementById('addAsset'),
         assetsList: document.getElementById('assetsList'),
+        emptyState: document.getElementById('portfolioEmpty'),
+        ledger: document.getElementById('ledger'),
+        ledgerList: document.getElementById('ledgerList'),
         portfolioTotal: document.getElementById('portfolioTotal')
     },
 
-    portfolio: [],
+    // Current prices in the quote currency
+    prices: {},
 
     async init() {
         if (!this.elements.addAssetBtn) return;
 
-        // Load portfolio from localStorage
-        this.loadPortfolio();
+        this.coinPicker = createCoinPicker(this.elements.coinSelect);
+        this.resetAssetDate();
+        this.updateFormForType();
+        this.renderPortfolio();
 
         // Add event listeners
-        this.elements.addAssetBtn.addEventListener('click', () => this.addAsset());
-        
+        this.elements.addAssetBtn.addEventListener('click', () => this.addTransaction());
+        this.elements.transactionType?.addEventListener('change', () => this.updateFormForType());
+        document.addEventListener('quoteCurrencyChanged', () => this.updatePortfolioValues());
+
+        // Live prices come from the price stream, which polls while it can't stream
+        this.subscribeToStream();
+
         // Initial update
         await this.updatePortfolioValues();
-        
-        // Update portfolio values every minute
-        setInterval(() => this.updatePortfolioValues(), 60000);
     },
 
-    loadPortfolio() {
-        const savedPortfolio = localStorage.getItem('cryptoPortfolio');
-        if (savedPortfolio) {
-            this.portfolio = JSON.parse(savedPortfolio);
-            this.renderPortfolio();
-        }
-        this.updateEmptyState();
+    subscribeToStream() {
+        priceStream.subscribe('portfolio', portfolioLedger.coinIds(), {
+            onTicks: (ticks) => this.applyTicks(ticks),
+            poll: () => this.updatePortfolioValues()
+        });
+    },
+
+    // Streamed prices are in USD
+    applyTicks(ticks) {
+        Object.entries(ticks).forEach(([coinId, tick]) => {
+            this.prices[coinId] = quoteCurrency.convert(tick.price, 'usd') || this.prices[coinId];
+        });
+        this.renderPortfolio();
     },
 
     savePortfolio() {
-        localStorage.setItem('cryptoPortfolio', JSON.stringify(this.portfolio));
-        this.updateEmptyState();
+        portfolioLedger.save();
+        this.subscribeToStream();
+        document.dispatchEvent(new CustomEvent('portfolioChanged'));
     },
 
-    async getCurrentPrice(coinId) {
-        try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currency=usd`
-            );
-            const data = await response.json();
-            return data[coinId].usd;
-        } catch (error) {
-            console.error('Error fetching price:', error);
-            return null;
-        }
+    // Ledger transactions of a coin for the price chart, buys and sells being its trades
+    trades(coinId) {
+        return portfolioLedger.forCoin(coinId).map(transaction => ({ ...transaction, side: transaction.type }));
+    },
+
+    // Transfers out and fees only take coins out, so they have no price
+    updateFormForType() {
+        const type = this.elements.transactionType?.value || 'buy';
+        const priced = !['transfer_out', 'fee'].includes(type);
+        this.elements.assetPrice.disabled = !priced;
+        if (!priced) this.elements.assetPrice.value = '';
+    },
+
+    resetAssetDate() {
+        if (!this.elements.assetDate) return;
+        const today = new Date();
+        this.elements.assetDate.value = new Date(today.getTime() - today.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+        this.elements.assetDate.max = this.elements.assetDate.value;
+    },
+
+    // Today means now; an earlier day is taken as its midday
+    purchaseTime() {
+        const value = this.elements.assetDate?.value;
+        if (!value || value === this.elements.assetDate.max) return Date.now();
+        return new Date(`${value}T12:00:00`).getTime();
     },
 
     formatCurrency(value) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(value);
+        return quoteCurrency.format(value);
     },
 
     formatPercentage(value) {
@@ -630,102 +526,1266 @@ const portfolioTracker = {
         }).format(value / 100);
     },
 
-    async addAsset() {
+    addTransaction() {
+        const type = this.elements.transactionType?.value || 'buy';
         const coinId = this.elements.coinSelect.value;
         const amount = parseFloat(this.elements.assetAmount.value);
-        const purchasePrice = parseFloat(this.elements.assetPrice.value);
+        const price = this.elements.assetPrice.disabled ? 0 : parseFloat(this.elements.assetPrice.value) || 0;
+        const fee = parseFloat(this.elements.assetFee?.value) || 0;
 
-        if (!coinId || !amount || !purchasePrice) {
+        // Buys and sells need a price; airdrops and transfers in may carry one as their cost
+        if (!coinId || !amount || amount < 0 || (['buy', 'sell'].includes(type) && !price)) {
             alert('Please fill in all fields');
             return;
         }
 
-        const currentPrice = await this.getCurrentPrice(coinId);
-        if (!currentPrice) {
-            alert('Error fetching current price. Please try again.');
+        if (price < 0 || fee < 0) {
+            alert('Price and fee must not be negative');
             return;
         }
 
-        const asset = {
-            id: Date.now(),
+        const time = this.purchaseTime();
+        if (isNaN(time) || time > Date.now()) {
+            alert('Transaction date must not be in the future');
+            return;
+        }
+
+        const transaction = {
+            type,
             coinId,
             coinName: this.elements.coinSelect.options[this.elements.coinSelect.selectedIndex].text,
+            time,
             amount,
-            purchasePrice,
-            currentPrice
+            price,
+            fee,
+            currency: quoteCurrency.current,
+            note: this.elements.assetNote?.value.trim() || ''
         };
 
-        this.portfolio.push(asset);
+        const shortfall = portfolioLedger.shortfall([...portfolioLedger.forCoin(coinId), { ...transaction, id: Infinity }]);
+        if (shortfall) {
+            alert(`Not enough ${transaction.coinName} held on ${new Date(shortfall.transaction.time).toLocaleDateString()}: ${shortfall.available} available`);
+            return;
+        }
+
+        portfolioLedger.add(transaction);
         this.savePortfolio();
         this.renderPortfolio();
+        this.updatePortfolioValues();
 
         // Reset form
-        this.elements.coinSelect.value = '';
+        this.coinPicker.setValue('');
         this.elements.assetAmount.value = '';
         this.elements.assetPrice.value = '';
+        if (this.elements.assetFee) this.elements.assetFee.value = '';
+        if (this.elements.assetNote) this.elements.assetNote.value = '';
+        this.resetAssetDate();
     },
 
-    removeAsset(id) {
-        this.portfolio = this.portfolio.filter(asset => asset.id !== id);
+    // Taking out a buy that later sells or transfers rely on would leave them selling coins
+    // that were never held
+    removeTransaction(id) {
+        const transaction = portfolioLedger.transactions.find(item => item.id === id);
+        if (!transaction) return;
+
+        const remaining = portfolioLedger.forCoin(transaction.coinId).filter(item => item.id !== id);
+        if (portfolioLedger.shortfall(remaining)) {
+            alert('Later transactions spend these coins. Remove them first.');
+            return;
+        }
+
+        portfolioLedger.remove(id);
+        this.savePortfolio();
+        this.renderPortfolio();
+    },
+
+    removeCoin(coinId) {
+        const transactions = portfolioLedger.forCoin(coinId);
+        if (transactions.length > 1 &&
+            !confirm(`Remove ${transactions[0].coinName} and all ${transactions.length} of its transactions?`)) return;
+
+        portfolioLedger.removeCoin(coinId);
         this.savePortfolio();
         this.renderPortfolio();
     },
 
-    async updatePortfolioValues() {
-        for (let asset of this.portfolio) {
-            asset.currentPrice = await this.getCurrentPrice(asset.coinId) || asset.currentPrice;
+    async updatePortfolioValues() {
+        const coinIds = portfolioLedger.coinIds();
+        if (coinIds.length > 0) {
+            try {
+                const currency = quoteCurrency.current;
+                const data = await marketData.getPrices(coinIds, { vsCurrencies: [currency] });
+                coinIds.forEach(coinId => {
+                    if (data[coinId]?.[currency]) this.prices[coinId] = data[coinId][currency];
+                });
+            } catch (error) {
+                console.error('Error fetching prices:', error);
+            }
+        }
+        this.renderPortfolio();
+        document.dispatchEvent(new CustomEvent('portfolioPricesUpdated'));
+    },
+
+    // In the quote currency, whatever currency each transaction was entered in
+    calculateAssetMetrics(holding) {
+        const currentValue = holding.amount * (this.prices[holding.coinId] ?? NaN);
+        const unrealized = holding.amount > 0 ? currentValue - holding.cost : 0;
+        const profitLoss = unrealized + holding.realized;
+        const profitLossPercentage = holding.invested > 0 ? (profitLoss / holding.invested) * 100 : null;
+
+        return {
+            currentValue: holding.amount > 0 ? currentValue : 0,
+            profitLoss,
+            profitLossPercentage
+        };
+    },
+
+    updateEmptyState() {
+        const empty = portfolioLedger.transactions.length === 0;
+        if (this.elements.emptyState) this.elements.emptyState.style.display = empty ? 'block' : 'none';
+        if (this.elements.ledger) this.elements.ledger.hidden = empty;
+    },
+
+    renderPortfolio() {
+        if (!this.elements.assetsList) return;
+
+        let totalValue = 0;
+        this.elements.assetsList.innerHTML = '';
+
+        portfolioLedger.holdings().forEach(holding => {
+            const { currentValue, profitLoss, profitLossPercentage } = this.calculateAssetMetrics(holding);
+            totalValue += currentValue;
+
+            const assetElement = document.createElement('div');
+            assetElement.className = 'asset-item';
+            assetElement.innerHTML = `
+                <span class="asset-name"></span>
+                <span class="asset-amount">
+                    ${holding.amount}
+                    ${holding.averageCost !== null ? `<small class="asset-detail">Avg ${this.formatCurrency(holding.averageCost)}</small>` : ''}
+                </span>
+                <span class="asset-value">${this.formatCurrency(currentValue)}</span>
+                <span class="asset-pl ${profitLoss >= 0 ? 'positive' : 'negative'}">
+                    ${this.formatCurrency(profitLoss)}
+                    ${profitLossPercentage !== null ? `(${this.formatPercentage(profitLossPercentage)})` : ''}
+                    ${holding.realized ? `<small class="asset-detail">${this.formatCurrency(holding.realized)} realized</small>` : ''}
+                </span>
+                <button class="remove-btn">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+
+            // Coin names come from the provider's coin list and imports, so they only go in as text
+            assetElement.querySelector('.asset-name').textContent = holding.coinName;
+            const remove = assetElement.querySelector('.remove-btn');
+            remove.setAttribute('aria-label', `Remove ${holding.coinName}`);
+            remove.addEventListener('click', () => this.removeCoin(holding.coinId));
+
+            this.elements.assetsList.appendChild(assetElement);
+        });
+
+        this.elements.portfolioTotal.textContent = this.formatCurrency(totalValue);
+        this.renderLedger();
+        this.updateEmptyState();
+    },
+
+    // Newest first. Notes are the user's own text, so they only ever go in as text.
+    renderLedger() {
+        const list = this.elements.ledgerList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        portfolioLedger.sorted().reverse().forEach(transaction => {
+            const type = portfolioLedger.types[transaction.type];
+            const item = document.createElement('div');
+            item.className = 'ledger-item';
+
+            const cells = [
+                ['ledger-date', new Date(transaction.time).toLocaleDateString()],
+                [`ledger-type ${transaction.type}`, type.label],
+                ['ledger-coin', transaction.coinName],
+                ['ledger-amount', `${type.direction > 0 ? '+' : '-'}${transaction.amount}`],
+                ['ledger-price', transaction.price ? quoteCurrency.format(transaction.price, { currency: transaction.currency }) : '—'],
+                ['ledger-fee', transaction.fee ? quoteCurrency.format(transaction.fee, { currency: transaction.currency }) : '—']
+            ];
+            cells.forEach(([className, text]) => {
+                const cell = document.createElement('span');
+                cell.className = className;
+                cell.textContent = text;
+                item.append(cell);
+            });
+
+            if (transaction.note) {
+                const note = document.createElement('small');
+                note.className = 'ledger-note';
+                note.textContent = transaction.note;
+                item.children[2].append(note);
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'remove-btn';
+            remove.setAttribute('aria-label', `Remove ${type.label.toLowerCase()} of ${transaction.coinName}`);
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => this.removeTransaction(transaction.id));
+            item.append(remove);
+
+            list.append(item);
+        });
+    }
+};
+
+// Initialize portfolio tracker
+portfolioTracker.init();
+
+// Trade Import
+const tradeImportWizard = {
+    tickerMapKey: 'importTickerMap',
+    elements: {
+        openButton: document.getElementById('openImport'),
+        wizard: document.getElementById('importWizard'),
+        closeButton: document.getElementById('closeImport'),
+        cancelButton: document.getElementById('cancelImport'),
+        file: document.getElementById('importFile'),
+        format: document.getElementById('importFormat'),
+        message: document.getElementById('importMessage'),
+        mapping: document.getElementById('importMapping'),
+        tickers: document.getElementById('importTickers'),
+        preview: document.getElementById('importPreview'),
+        summary: document.getElementById('importSummary'),
+        rows: document.getElementById('importRows'),
+        confirmButton: document.getElementById('confirmImport')
+    },
+
+    text: null,
+    headers: [],
+    // Generic format: field → column, and the currency of prices without a currency column
+    mapping: null,
+    currency: null,
+    items: [],
+    // Ticker → coin id, '' to leave it out
+    tickers: {},
+    // Rows the user unticked, by import id
+    excluded: new Set(),
+
+    init() {
+        if (!this.elements.wizard) return;
+
+        this.elements.openButton.addEventListener('click', () => this.open());
+        this.elements.closeButton.addEventListener('click', () => this.close());
+        this.elements.cancelButton.addEventListener('click', () => this.close());
+        this.elements.file.addEventListener('change', () => this.readFile());
+        this.elements.format.addEventListener('change', () => {
+            this.mapping = null;
+            this.parse();
+        });
+        this.elements.confirmButton.addEventListener('click', () => this.import());
+        this.elements.rows.addEventListener('change', (e) => {
+            const id = e.target.dataset.importId;
+            if (!id) return;
+            if (e.target.checked) this.excluded.delete(id);
+            else this.excluded.add(id);
+            this.renderPreview();
+        });
+    },
+
+    open() {
+        this.elements.wizard.hidden = false;
+        this.elements.openButton.setAttribute('aria-expanded', 'true');
+        this.elements.file.focus();
+    },
+
+    close() {
+        this.text = null;
+        this.items = [];
+        this.mapping = null;
+        this.currency = null;
+        this.excluded.clear();
+        this.elements.file.value = '';
+        this.elements.format.value = 'auto';
+        this.showMessage('');
+        this.elements.mapping.hidden = true;
+        this.elements.tickers.hidden = true;
+        this.elements.preview.hidden = true;
+        this.elements.confirmButton.disabled = true;
+        this.elements.wizard.hidden = true;
+        this.elements.openButton.setAttribute('aria-expanded', 'false');
+    },
+
+    showMessage(text, isError = false) {
+        this.elements.message.textContent = text;
+        this.elements.message.classList.toggle('error', isError);
+    },
+
+    async readFile() {
+        const file = this.elements.file.files[0];
+        if (!file) return;
+
+        try {
+            this.text = await file.text();
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            this.showMessage('The file could not be read.', true);
+            return;
+        }
+
+        this.mapping = null;
+        this.excluded.clear();
+        // Tickers are matched against the full coin list
+        await coinRegistry.load();
+        this.parse();
+    },
+
+    parse() {
+        if (this.text === null) return;
+
+        const rows = tradeImport.parseCsv(this.text);
+        const format = this.elements.format.value === 'auto' ? tradeImport.detect(rows) : this.elements.format.value;
+        this.items = [];
+
+        try {
+            if (format === 'generic') {
+                this.headers = tradeImport.table(rows, tradeImport.formats.generic)?.headers || [];
+                this.mapping = this.mapping || tradeImport.guessMapping(this.headers);
+                this.currency = this.currency || quoteCurrency.current;
+                this.renderMapping();
+
+                const missing = Object.entries(tradeImport.fields)
+                    .filter(([field, { required }]) => required && !this.mapping[field])
+                    .map(([, { label }]) => label);
+                if (missing.length > 0) {
+                    this.showMessage(`Choose the columns that hold: ${missing.join(', ')}.`, true);
+                    this.renderTickers();
+                    this.renderPreview();
+                    return;
+                }
+            } else {
+                this.elements.mapping.hidden = true;
+            }
+
+            this.items = tradeImport.read(this.text, format, { mapping: this.mapping, currency: this.currency }).items;
+        } catch (error) {
+            this.showMessage(error.message, true);
+            this.renderTickers();
+            this.renderPreview();
+            return;
+        }
+
+        const source = format === 'generic' ? 'a CSV with mapped columns' : `a ${tradeImport.formats[format].label} export`;
+        this.showMessage(`${this.items.length} row${this.items.length === 1 ? '' : 's'} read as ${source}.`);
+        this.mapTickers();
+        this.renderTickers();
+        this.renderPreview();
+    },
+
+    renderMapping() {
+        const container = this.elements.mapping;
+        container.hidden = false;
+        container.innerHTML = '';
+
+        const columnOptions = ['', ...this.headers].map(header =>
+            `<option value="${header.replace(/"/g, '&quot;')}">${header ? header.replace(/</g, '&lt;') : '—'}</option>`
+        ).join('');
+
+        Object.entries(tradeImport.fields).forEach(([field, { label, required }]) => {
+            const group = document.createElement('div');
+            group.className = 'input-group';
+            group.innerHTML = `
+                <label for="importColumn-${field}">${label}${required ? ' *' : ''}</label>
+                <select id="importColumn-${field}">${columnOptions}</select>
+            `;
+            const select = group.querySelector('select');
+            select.value = this.mapping[field];
+            select.addEventListener('change', () => {
+                this.mapping[field] = select.value;
+                this.parse();
+            });
+            container.append(group);
+        });
+
+        // Prices without a currency column are taken to be in this one
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        group.innerHTML = `
+            <label for="importCurrency">Prices in</label>
+            <select id="importCurrency">
+                ${Object.keys(tradeImport.currencies).map(code => `<option value="${code}">${code.toUpperCase()}</option>`).join('')}
+            </select>
+        `;
+        const select = group.querySelector('select');
+        select.value = this.currency;
+        select.disabled = Boolean(this.mapping.currency);
+        select.addEventListener('change', () => {
+            this.currency = select.value;
+            this.parse();
+        });
+        container.append(group);
+    },
+
+    // Coins with the ticker as their symbol: a known mapping first, then by market cap rank
+    candidates(ticker) {
+        const symbol = ticker.toLowerCase();
+        const known = coinMappings.fromSymbol(symbol);
+        const coins = [
+            ...(known ? [coinRegistry.get(known) || { id: known, name: known, symbol }] : []),
+            ...coinRegistry.search(symbol, { limit: 50 }).filter(coin => coin.symbol === symbol)
+        ];
+        return coins.filter((coin, index) => coins.findIndex(other => other.id === coin.id) === index);
+    },
+
+    // Earlier choices for a ticker are remembered for the next import
+    mapTickers() {
+        const saved = JSON.parse(localStorage.getItem(this.tickerMapKey) || '{}');
+        this.items.forEach(item => {
+            if (item.error || item.ticker in this.tickers) return;
+            this.tickers[item.ticker] = item.ticker in saved ? saved[item.ticker] : this.candidates(item.ticker)[0]?.id || '';
+        });
+    },
+
+    setTicker(ticker, coinId) {
+        this.tickers[ticker] = coinId;
+        const saved = JSON.parse(localStorage.getItem(this.tickerMapKey) || '{}');
+        saved[ticker] = coinId;
+        localStorage.setItem(this.tickerMapKey, JSON.stringify(saved));
+        this.renderPreview();
+    },
+
+    renderTickers() {
+        const container = this.elements.tickers;
+        const tickers = [...new Set(this.items.filter(item => !item.error).map(item => item.ticker))].sort();
+        container.hidden = tickers.length === 0;
+        container.innerHTML = tickers.length > 0 ? '<h5>Coins</h5>' : '';
+
+        tickers.forEach(ticker => {
+            const candidates = this.candidates(ticker);
+            const current = this.tickers[ticker];
+            // A remembered coin that isn't in the list any more still shows
+            if (current && !candidates.some(coin => coin.id === current)) {
+                candidates.unshift(coinRegistry.get(current) || { id: current, name: current, symbol: ticker.toLowerCase() });
+            }
+
+            const row = document.createElement('div');
+            row.className = 'import-ticker';
+            const label = document.createElement('label');
+            label.htmlFor = `importTicker-${ticker}`;
+            label.textContent = ticker;
+            const select = document.createElement('select');
+            select.id = `importTicker-${ticker}`;
+            candidates.forEach(coin => select.add(new Option(`${coinRegistry.label(coin)} · ${coin.id}`, coin.id)));
+            select.add(new Option('Don\'t import', ''));
+            select.value = current || '';
+            select.addEventListener('change', () => this.setTicker(ticker, select.value));
+
+            row.append(label, select);
+            container.append(row);
+        });
+    },
+
+    // What happens to each row: new, duplicate, skipped or an error
+    statuses() {
+        const imported = new Set(portfolioLedger.transactions.map(transaction => transaction.importId).filter(Boolean));
+        const statuses = new Map();
+        const selected = [];
+
+        this.items.forEach(item => {
+            if (item.error) {
+                statuses.set(item, { state: 'error', text: item.error });
+            } else if (!this.tickers[item.ticker]) {
+                statuses.set(item, { state: 'skipped', text: 'Coin not chosen' });
+            } else if (imported.has(item.importId)) {
+                statuses.set(item, { state: 'duplicate', text: 'Already imported' });
+            } else if (this.excluded.has(item.importId)) {
+                statuses.set(item, { state: 'skipped', text: 'Left out' });
+            } else {
+                statuses.set(item, { state: 'new', text: 'New' });
+                selected.push(item);
+            }
+        });
+
+        // Sells and transfers out need the coins to be there: the ones that come before any
+        // buy covering them are left out
+        const byCoin = new Map();
+        selected.forEach(item => {
+            const coinId = this.tickers[item.ticker];
+            if (!byCoin.has(coinId)) byCoin.set(coinId, []);
+            byCoin.get(coinId).push({ ...item, coinId, id: Infinity, item });
+        });
+        byCoin.forEach((candidates, coinId) => {
+            let shortfall;
+            while ((shortfall = portfolioLedger.shortfall([...portfolioLedger.forCoin(coinId), ...candidates]))) {
+                const culprit = shortfall.transaction.item
+                    ? shortfall.transaction
+                    : candidates
+                        .filter(candidate => portfolioLedger.types[candidate.type].direction < 0 && candidate.time <= shortfall.transaction.time)
+                        .sort((a, b) => a.time - b.time)
+                        .pop();
+                if (!culprit) break;
+
+                statuses.set(culprit.item, { state: 'error', text: 'More than was held at the time' });
+                candidates.splice(candidates.indexOf(culprit), 1);
+            }
+        });
+
+        return statuses;
+    },
+
+    renderPreview() {
+        const statuses = this.statuses();
+        const count = state => [...statuses.values()].filter(status => status.state === state).length;
+        const toImport = count('new');
+
+        this.elements.preview.hidden = this.items.length === 0;
+        this.elements.summary.textContent = [
+            `${toImport} to import`,
+            count('duplicate') && `${count('duplicate')} already imported`,
+            count('skipped') && `${count('skipped')} left out`,
+            count('error') && `${count('error')} can't be imported`
+        ].filter(Boolean).join(' · ');
+        this.elements.confirmButton.disabled = toImport === 0;
+        this.elements.confirmButton.textContent = toImport > 0 ? `Import ${toImport}` : 'Import';
+
+        this.elements.rows.innerHTML = '';
+        this.items.forEach(item => {
+            const status = statuses.get(item);
+            const row = document.createElement('tr');
+            row.className = `import-row ${status.state}`;
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = status.state === 'new';
+            // Only rows the user can change their mind about
+            toggle.disabled = !(status.state === 'new' || (status.state === 'skipped' && this.excluded.has(item.importId)));
+            toggle.dataset.importId = item.importId || '';
+            toggle.setAttribute('aria-label', `Import row ${item.row}`);
+
+            const coin = item.error ? null : coinRegistry.get(this.tickers[item.ticker]);
+            const money = value => value ? quoteCurrency.format(value, { currency: item.currency }) : '—';
+            const cells = item.error
+                ? [item.row, '', '', '', '', '', '', status.text]
+                : [
+                    item.row,
+                    new Date(item.time).toLocaleString(),
+                    portfolioLedger.types[item.type].label,
+                    coin ? `${item.ticker} → ${coin.name}` : item.ticker,
+                    item.amount,
+                    money(item.price),
+                    money(item.fee),
+                    status.text
+                ];
+
+            const first = document.createElement('td');
+            first.append(toggle);
+            row.append(first);
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.append(cell);
+            });
+            this.elements.rows.append(row);
+        });
+    },
+
+    import() {
+        const statuses = this.statuses();
+        const transactions = this.items
+            .filter(item => statuses.get(item).state === 'new')
+            .map(item => {
+                const coinId = this.tickers[item.ticker];
+                const coin = coinRegistry.get(coinId);
+                return {
+                    type: item.type,
+                    coinId,
+                    coinName: coin ? coinRegistry.label(coin) : item.ticker,
+                    time: item.time,
+                    amount: item.amount,
+                    price: item.price,
+                    fee: item.fee,
+                    currency: item.currency,
+                    note: item.note,
+                    importId: item.importId
+                };
+            });
+        if (transactions.length === 0) return;
+
+        portfolioLedger.addAll(transactions);
+        portfolioTracker.savePortfolio();
+        portfolioTracker.updatePortfolioValues();
+
+        this.showMessage(`Imported ${transactions.length} transaction${transactions.length === 1 ? '' : 's'}.`);
+        this.renderPreview();
+    }
+};
+
+// Initialize trade import
+tradeImportWizard.init();
+
+// Tax Report
+const taxReport = {
+    elements: {
+        panel: document.getElementById('taxReport'),
+        method: document.getElementById('taxMethod'),
+        year: document.getElementById('taxYear'),
+        exportButton: document.getElementById('exportTaxReport'),
+        summary: document.getElementById('taxSummary'),
+        lines: document.getElementById('taxLines'),
+        empty: document.getElementById('taxEmpty')
+    },
+
+    year: null,
+    report: null,
+
+    init() {
+        if (!this.elements.panel) return;
+
+        this.elements.method.value = taxLots.getMethod();
+        this.elements.method.addEventListener('change', () => {
+            taxLots.setMethod(this.elements.method.value);
+            this.render();
+        });
+        this.elements.year.addEventListener('change', () => {
+            this.year = Number(this.elements.year.value);
+            this.render();
+        });
+        this.elements.exportButton.addEventListener('click', () => this.exportCsv());
+
+        document.addEventListener('portfolioChanged', () => this.render());
+        document.addEventListener('portfolioPricesUpdated', () => this.render());
+        document.addEventListener('quoteCurrencyChanged', () => this.render());
+
+        this.render();
+    },
+
+    render() {
+        this.elements.panel.hidden = portfolioLedger.transactions.length === 0;
+        if (this.elements.panel.hidden) return;
+
+        const { lots, disposals } = taxLots.match();
+
+        // Sales can't be in the future, so the current year is always the newest
+        const years = taxLots.years(disposals);
+        const currentYear = new Date().getFullYear();
+        if (!years.includes(currentYear)) years.unshift(currentYear);
+        if (!years.includes(this.year)) this.year = years[0];
+
+        this.elements.year.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+        this.elements.year.value = String(this.year);
+
+        this.report = taxLots.report(disposals, this.year);
+        this.renderSummary(this.report, taxLots.unrealized(lots, portfolioTracker.prices));
+        this.renderLines(this.report);
+        this.elements.exportButton.disabled = this.report.items.length === 0;
+    },
+
+    renderSummary(report, unrealized) {
+        const items = [
+            [`Short-term realized (${report.year})`, report.shortTerm.gain],
+            [`Long-term realized (${report.year})`, report.longTerm.gain],
+            [`Total realized (${report.year})`, report.shortTerm.gain + report.longTerm.gain],
+            ['Short-term unrealized', unrealized.shortTerm.gain],
+            ['Long-term unrealized', unrealized.longTerm.gain]
+        ];
+
+        this.elements.summary.innerHTML = items.map(([label, value]) => `
+            <div class="tax-summary-item">
+                <span class="tax-summary-label">${label}</span>
+                <span class="tax-summary-value ${value >= 0 ? 'positive' : 'negative'}">${quoteCurrency.format(value)}</span>
+            </div>
+        `).join('');
+    },
+
+    renderLines(report) {
+        const date = time => new Date(time).toLocaleDateString();
+
+        this.elements.lines.innerHTML = '';
+        report.items.forEach(item => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td>${date(item.acquired)}</td>
+                <td>${date(item.disposed)}</td>
+                <td>${quoteCurrency.format(item.proceeds)}</td>
+                <td>${quoteCurrency.format(item.cost)}</td>
+                <td class="${item.gain >= 0 ? 'positive' : 'negative'}">${quoteCurrency.format(item.gain)}</td>
+                <td>${item.longTerm ? 'Long-term' : 'Short-term'}</td>
+            `;
+            // Symbols can come from imported files, so they only go in as text
+            row.firstElementChild.textContent = `${Number(item.amount.toPrecision(12))} ${taxLots.symbol(item)}${item.type === 'fee' ? ' (fee)' : ''}`;
+            this.elements.lines.append(row);
+        });
+        this.elements.empty.style.display = report.items.length === 0 ? 'block' : 'none';
+    },
+
+    exportCsv() {
+        if (!this.report || this.report.items.length === 0) {
+            alert('There are no sales in this year to export');
+            return;
+        }
+
+        try {
+            chartExport.csv(
+                taxLots.formRows(this.report),
+                chartExport.fileName('capital-gains', this.report.year, taxLots.getMethod(), quoteCurrency.current)
+            );
+        } catch (error) {
+            console.error('Error exporting tax report:', error);
+            alert('Failed to export the report. Please try again.');
+        }
+    }
+};
+
+// Initialize tax report
+taxReport.init();
+
+// Portfolio value over time
+const portfolioValueChart = {
+    elements: {
+        panel: document.getElementById('portfolioHistory'),
+        canvas: document.getElementById('portfolioHistoryChart'),
+        message: document.getElementById('portfolioHistoryMessage'),
+        rangeButtons: document.querySelectorAll('#portfolioHistory [data-history-range]'),
+        viewButtons: document.querySelectorAll('#portfolioHistory [data-history-view]')
+    },
+
+    rangeKey: 'portfolioHistoryRange',
+    viewKey: 'portfolioHistoryView',
+    chart: null,
+    snapshots: [],
+    missing: [],
+    // Only the latest refresh gets to draw
+    requestId: 0,
+
+    init() {
+        if (!this.elements.panel) return;
+
+        const savedRange = localStorage.getItem(this.rangeKey);
+        this.range = portfolioHistory.ranges[savedRange] ? savedRange : '30d';
+        this.view = localStorage.getItem(this.viewKey) === 'assets' ? 'assets' : 'total';
+        this.updateButtons();
+
+        this.elements.rangeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.range = button.dataset.historyRange;
+                localStorage.setItem(this.rangeKey, this.range);
+                this.updateButtons();
+                this.render();
+            });
+        });
+        this.elements.viewButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.view = button.dataset.historyView;
+                localStorage.setItem(this.viewKey, this.view);
+                this.updateButtons();
+                this.render();
+            });
+        });
+
+        document.addEventListener('portfolioChanged', () => this.refresh());
+        document.addEventListener('quoteCurrencyChanged', () => this.refresh());
+        document.addEventListener('portfolioPricesUpdated', () => this.render());
+        document.addEventListener('themeChanged', () => this.render());
+
+        this.refresh();
+    },
+
+    updateButtons() {
+        this.elements.rangeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.historyRange === this.range);
+        });
+        this.elements.viewButtons.forEach(button => {
+            const active = button.dataset.historyView === this.view;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    },
+
+    async refresh() {
+        this.elements.panel.hidden = portfolioLedger.transactions.length === 0;
+        if (this.elements.panel.hidden) {
+            this.snapshots = [];
+            this.missing = [];
+            return;
+        }
+
+        const requestId = ++this.requestId;
+        this.showMessage('Loading price history...');
+        try {
+            const { days, missing } = await portfolioHistory.load(quoteCurrency.current);
+            if (requestId !== this.requestId) return;
+            this.snapshots = days;
+            this.missing = missing;
+            this.showMessage(this.missingNote());
+            this.render();
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Error loading portfolio history:', error);
+            this.snapshots = [];
+            this.missing = [];
+            this.render();
+            this.showMessage('Price history is unavailable right now. Please try again later.');
+        }
+    },
+
+    showMessage(text) {
+        this.elements.message.textContent = text;
+        this.elements.message.hidden = !text;
+    },
+
+    missingNote() {
+        if (this.missing.length === 0) return '';
+        const names = Object.fromEntries(portfolioLedger.holdings().map(holding => [holding.coinId, holding.coinName]));
+        const symbols = this.missing.map(coinId => taxLots.symbol({ coinId, coinName: names[coinId] }));
+        return `No price history for ${symbols.join(', ')}, so ${symbols.length === 1 ? 'it is' : 'they are'} left out of this chart.`;
+    },
+
+    // Finished days plus today at the latest prices, once every coin held has one
+    points() {
+        const held = portfolioLedger.holdings()
+            .filter(holding => holding.amount > 0 && !this.missing.includes(holding.coinId));
+        const priced = held.every(holding => portfolioTracker.prices[holding.coinId] !== undefined);
+        const points = priced && held.length > 0
+            ? [...this.snapshots, portfolioHistory.current(portfolioTracker.prices, this.missing)]
+            : this.snapshots;
+        return portfolioHistory.inRange(points, this.range);
+    },
+
+    render() {
+        if (this.elements.panel.hidden) return;
+
+        const points = this.points();
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        if (points.length === 0) return;
+
+        const style = getComputedStyle(document.documentElement);
+        const color = name => style.getPropertyValue(name).trim();
+        const primary = color('--primary-color');
+
+        const datasets = this.view === 'assets'
+            ? this.assetDatasets(points, color)
+            : [{
+                label: 'Value',
+                data: points.map(point => ({ x: point.time, y: point.value })),
+                borderColor: primary,
+                backgroundColor: `rgba(${color('--primary-color-rgb')}, 0.15)`,
+                fill: 'origin',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.2
+            }];
+
+        datasets.push({
+            label: 'Cost basis',
+            data: points.map(point => ({ x: point.time, y: point.cost })),
+            borderColor: color('--text-secondary'),
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: false,
+            stack: 'cost'
+        });
+
+        this.chart = new Chart(this.elements.canvas, {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: {
+                        display: this.view === 'assets',
+                        labels: {
+                            color: color('--text-color'),
+                            boxWidth: 12
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: color('--card-bg'),
+                        titleColor: color('--text-color'),
+                        bodyColor: color('--text-color'),
+                        borderColor: color('--border-color'),
+                        borderWidth: 1,
+                        padding: 12,
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${quoteCurrency.format(context.parsed.y)}`,
+                            footer: items => {
+                                if (this.view !== 'assets') return '';
+                                const total = items
+                                    .filter(item => item.dataset.stack === 'assets')
+                                    .reduce((sum, item) => sum + item.parsed.y, 0);
+                                return `Total: ${quoteCurrency.format(total)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        offset: false,
+                        time: {
+                            tooltipFormat: 'MMM dd, yyyy'
+                        },
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: color('--text-secondary'),
+                            maxRotation: 0
+                        }
+                    },
+                    y: {
+                        stacked: this.view === 'assets',
+                        beginAtZero: true,
+                        grid: {
+                            color: color('--border-color') + '20'
+                        },
+                        ticks: {
+                            color: color('--text-secondary'),
+                            callback: value => quoteCurrency.format(value)
+                        }
+                    }
+                }
+            }
+        });
+    },
+
+    // One stacked area per coin, largest at the bottom
+    assetDatasets(points, color) {
+        const last = points[points.length - 1];
+        const names = Object.fromEntries(portfolioLedger.holdings().map(holding => [holding.coinId, holding.coinName]));
+        const coinIds = [...new Set(points.flatMap(point => Object.keys(point.values)))]
+            .sort((a, b) => (last.values[b] || 0) - (last.values[a] || 0));
+
+        return coinIds.map((coinId, index) => {
+            const lineColor = color(`--chart-color-${index % 6 + 1}`);
+            return {
+                label: taxLots.symbol({ coinId, coinName: names[coinId] }),
+                data: points.map(point => ({ x: point.time, y: point.values[coinId] || 0 })),
+                borderColor: lineColor,
+                backgroundColor: lineColor + '55',
+                fill: index === 0 ? 'origin' : '-1',
+                stack: 'assets',
+                borderWidth: 1,
+                pointRadius: 0,
+                tension: 0.2
+            };
+        });
+    }
+};
+
+// Initialize portfolio value chart
+portfolioValueChart.init();
+
+// Allocation donut, target weights and the rebalance plan
+const allocationPlanner = {
+    elements: {
+        panel: document.getElementById('allocation'),
+        canvas: document.getElementById('allocationChart'),
+        targets: document.getElementById('allocationTargets'),
+        targetTotal: document.getElementById('allocationTargetTotal'),
+        addTarget: document.getElementById('addAllocationTarget'),
+        fromCurrent: document.getElementById('targetsFromCurrent'),
+        drift: document.getElementById('allocationDrift'),
+        minTrade: document.getElementById('rebalanceMinTrade'),
+        cash: document.getElementById('rebalanceCash'),
+        noSells: document.getElementById('rebalanceNoSells'),
+        message: document.getElementById('rebalanceMessage'),
+        plan: document.getElementById('rebalancePlan'),
+        trades: document.getElementById('rebalanceTrades')
+    },
+
+    chart: null,
+    allocation: [],
+
+    init() {
+        if (!this.elements.panel) return;
+
+        this.elements.addTarget.addEventListener('click', () => {
+            rebalancing.addTarget({});
+            this.renderTargets();
+            this.renderResults();
+            this.elements.targets.lastElementChild?.querySelector('input')?.focus();
+        });
+        this.elements.fromCurrent.addEventListener('click', () => this.useCurrentWeights());
+
+        // Typing only changes the results, so the field being edited keeps its focus
+        this.elements.targets.addEventListener('input', (e) => {
+            const row = e.target.closest('[data-target-id]');
+            if (!row || e.target.type === 'checkbox') return;
+
+            const id = Number(row.dataset.targetId);
+            if (e.target.dataset.field === 'name') rebalancing.updateTarget(id, { name: e.target.value });
+            if (e.target.dataset.field === 'weight') rebalancing.updateTarget(id, { weight: parseFloat(e.target.value) || 0 });
+            this.renderResults();
+        });
+        this.elements.targets.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-target-id]');
+            if (!row || e.target.type !== 'checkbox') return;
+
+            rebalancing.assignCoin(Number(row.dataset.targetId), e.target.value, e.target.checked);
+            this.renderTargets();
+            this.renderResults();
+        });
+        this.elements.targets.addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-target');
+            if (!button) return;
+
+            rebalancing.removeTarget(Number(button.closest('[data-target-id]').dataset.targetId));
+            this.renderTargets();
+            this.renderResults();
+        });
+
+        this.elements.minTrade.addEventListener('input', () => {
+            rebalancing.update({ minTrade: Math.max(0, parseFloat(this.elements.minTrade.value) || 0) });
+            this.renderResults();
+        });
+        this.elements.cash.addEventListener('input', () => {
+            rebalancing.update({ cash: Math.max(0, parseFloat(this.elements.cash.value) || 0) });
+            this.renderResults();
+        });
+        this.elements.noSells.addEventListener('change', () => {
+            rebalancing.update({ noSells: this.elements.noSells.checked });
+            this.renderResults();
+        });
+
+        document.addEventListener('portfolioChanged', () => this.render());
+        document.addEventListener('portfolioPricesUpdated', () => this.renderResults());
+        document.addEventListener('quoteCurrencyChanged', () => this.render());
+        document.addEventListener('themeChanged', () => this.renderChart());
+
+        this.render();
+    },
+
+    render() {
+        this.renderOptions();
+        this.renderTargets();
+        this.renderResults();
+    },
+
+    // Amounts are shown in the quote currency whatever they were entered in
+    renderOptions() {
+        const { minTrade, cash } = rebalancing.amounts();
+        const round = value => value ? String(Number(value.toFixed(2))) : '';
+        this.elements.minTrade.value = round(minTrade);
+        this.elements.cash.value = round(cash);
+        this.elements.noSells.checked = rebalancing.settings.noSells;
+    },
+
+    // Coins that can go in a target: every coin in the ledger
+    coins() {
+        return portfolioLedger.holdings().map(holding => ({ coinId: holding.coinId, symbol: taxLots.symbol(holding) }));
+    },
+
+    renderTargets() {
+        const coins = this.coins();
+        this.elements.targets.innerHTML = '';
+
+        rebalancing.settings.targets.forEach(target => {
+            const row = document.createElement('div');
+            row.className = 'allocation-target';
+            row.dataset.targetId = target.id;
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.dataset.field = 'name';
+            name.placeholder = 'Name, e.g. Alts';
+            name.value = target.name;
+            name.setAttribute('aria-label', 'Target name');
+
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.dataset.field = 'weight';
+            weight.min = '0';
+            weight.max = '100';
+            weight.step = 'any';
+            weight.value = target.weight || '';
+            weight.placeholder = '0';
+            weight.setAttribute('aria-label', 'Target weight in percent');
+
+            const percent = document.createElement('span');
+            percent.className = 'allocation-target-percent';
+            percent.textContent = '%';
+
+            const remove = document.createElement('button');
+            remove.className = 'remove-target';
+            remove.title = 'Remove target';
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+
+            const members = document.createElement('div');
+            members.className = 'allocation-target-coins';
+            coins.forEach(coin => {
+                const label = document.createElement('label');
+                label.className = 'allocation-coin';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = coin.coinId;
+                checkbox.checked = target.coinIds.includes(coin.coinId);
+                label.classList.toggle('active', checkbox.checked);
+                label.append(checkbox, coin.symbol);
+                members.appendChild(label);
+            });
+
+            row.append(name, weight, percent, remove, members);
+            this.elements.targets.appendChild(row);
+        });
+    },
+
+    useCurrentWeights() {
+        if (this.allocation.length === 0) {
+            alert('Prices are still loading. Please try again in a moment.');
+            return;
         }
-        this.savePortfolio();
-        this.renderPortfolio();
+        if (rebalancing.settings.targets.length > 0 && !confirm('Replace your targets with one per coin at its current weight?')) return;
+
+        rebalancing.targetsFrom(this.allocation);
+        this.renderTargets();
+        this.renderResults();
     },
 
-    calculateAssetMetrics(asset) {
-        const initialValue = asset.amount * asset.purchasePrice;
-        const currentValue = asset.amount * asset.currentPrice;
-        const profitLoss = currentValue - initialValue;
-        const profitLossPercentage = (profitLoss / initialValue) * 100;
+    renderResults() {
+        const hasTransactions = portfolioLedger.transactions.length > 0;
+        this.elements.panel.hidden = !hasTransactions;
+        if (!hasTransactions) return;
 
-        return {
-            currentValue,
-            profitLoss,
-            profitLossPercentage
-        };
-    },
+        this.allocation = rebalancing.allocation(portfolioLedger.holdings(), portfolioTracker.prices);
 
-    renderPortfolio() {
-        if (!this.elements.assetsList) return;
+        const total = rebalancing.totalWeight();
+        this.elements.targetTotal.textContent = rebalancing.settings.targets.length > 0
+            ? `Targets add up to ${Number(total.toFixed(2))}%`
+            : 'Set a target weight for each coin or group of coins, e.g. 50% BTC, 30% ETH and 20% in alts.';
+        this.elements.targetTotal.classList.toggle('invalid', rebalancing.settings.targets.length > 0 && Math.abs(total - 100) > 0.01);
 
-        let totalValue = 0;
-        this.elements.assetsList.innerHTML = '';
+        this.renderChart();
+        this.renderDrift();
+        this.renderPlan();
+    },
 
-        this.portfolio.forEach(asset => {
-            const { currentValue, profitLoss, profitLossPercentage } = this.calculateAssetMetrics(asset);
-            totalValue += currentValue;
+    renderChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        if (this.elements.panel.hidden || this.allocation.length === 0) return;
 
-            const assetElement = document.createElement('div');
-            assetElement.className = 'asset-item';
-            assetElement.innerHTML = `
-                <span class="asset-name">${asset.coinName}</span>
-                <span class="asset-amount">${asset.amount}</span>
-                <span class="asset-value">${this.formatCurrency(currentValue)}</span>
-                <span class="asset-pl ${profitLoss >= 0 ? 'positive' : 'negative'}">
-                    ${this.formatCurrency(profitLoss)}
-                    (${this.formatPercentage(profitLossPercentage)})
-                </span>
-                <button class="remove-btn" onclick="portfolioTracker.removeAsset(${asset.id})">
-                    <i class="fas fa-trash"></i>
-                </button>
-            `;
+        const style = getComputedStyle(document.documentElement);
+        const color = name => style.getPropertyValue(name).trim();
 
-            this.elements.assetsList.appendChild(assetElement);
+        this.chart = new Chart(this.elements.canvas, {
+            type: 'doughnut',
+            data: {
+                labels: this.allocation.map(item => item.symbol),
+                datasets: [{
+                    data: this.allocation.map(item => item.value),
+                    backgroundColor: this.allocation.map((item, index) => color(`--chart-color-${index % 6 + 1}`)),
+                    borderColor: color('--card-bg'),
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                cutout: '65%',
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: color('--text-color'),
+                            boxWidth: 12
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: color('--card-bg'),
+                        titleColor: color('--text-color'),
+                        bodyColor: color('--text-color'),
+                        borderColor: color('--border-color'),
+                        borderWidth: 1,
+                        padding: 12,
+                        callbacks: {
+                            label: context => {
+                                const item = this.allocation[context.dataIndex];
+                                return `${item.symbol}: ${quoteCurrency.format(item.value)} (${(item.weight * 100).toFixed(1)}%)`;
+                            }
+                        }
+                    }
+                }
+            }
         });
+    },
 
-        this.elements.portfolioTotal.textContent = this.formatCurrency(totalValue);
+    renderDrift() {
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const buckets = rebalancing.buckets(this.allocation);
+
+        this.elements.drift.innerHTML = '';
+        buckets.forEach(bucket => {
+            const row = document.createElement('tr');
+            const drift = bucket.drift * 100;
+            [
+                bucket.name,
+                quoteCurrency.format(bucket.value),
+                percent(bucket.weight),
+                percent(bucket.targetWeight),
+                `${drift > 0 ? '+' : ''}${drift.toFixed(1)} pts`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.elements.drift.appendChild(row);
+        });
+    },
+
+    renderPlan() {
+        const problems = rebalancing.problems();
+        let messages = problems;
+        let trades = [];
+
+        if (problems.length === 0 && this.allocation.length > 0) {
+            const plan = rebalancing.plan(this.allocation, portfolioTracker.prices, {
+                ...rebalancing.amounts(),
+                noSells: rebalancing.settings.noSells
+            });
+            trades = plan.trades;
+            messages = [
+                trades.length === 0 ? 'Your portfolio is on target. No trades needed.' : '',
+                plan.cashLeft > 0.005 ? `${quoteCurrency.format(plan.cashLeft)} of cash stays uninvested.` : '',
+                plan.unpriced.length > 0 ? `No price yet for ${plan.unpriced.join(', ')}, so it's left out.` : ''
+            ].filter(Boolean);
+        }
+
+        this.elements.message.textContent = messages.join(' ');
+        this.elements.message.hidden = messages.length === 0;
+        this.elements.plan.hidden = trades.length === 0;
+
+        const symbols = Object.fromEntries(this.coins().map(coin => [coin.coinId, coin.symbol]));
+        this.elements.trades.innerHTML = '';
+        trades.forEach(trade => {
+            const row = document.createElement('tr');
+            [
+                trade.side === 'buy' ? 'Buy' : 'Sell',
+                symbols[trade.coinId] || trade.coinId,
+                String(Number(trade.amount.toPrecision(6))),
+                quoteCurrency.format(trade.value),
+                trade.bucket
+            ].forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 0) cell.className = trade.side === 'buy' ? 'positive' : 'negative';
+                row.appendChild(cell);
+            });
+            this.elements.trades.appendChild(row);
+        });
     }
 };
 
-// Initialize portfolio tracker
-portfolioTracker.init();
+// Initialize allocation planner
+allocationPlanner.init();
 
 // Crypto Converter
 const cryptoConverter = {
@@ -742,36 +1802,34 @@ const cryptoConverter = {
     },
 
     rates: {},
-    updateInterval: null,
 
     async init() {
         if (!this.elements.fromAmount) return;
 
+        this.fromPicker = createCoinPicker(this.elements.fromCurrency, { includeFiat: true });
+        this.toPicker = createCoinPicker(this.elements.toCurrency, { includeFiat: true });
+
         // Add event listeners
         this.elements.fromAmount.addEventListener('input', () => this.convert());
-        this.elements.fromCurrency.addEventListener('change', () => this.updateConversion());
-        this.elements.toCurrency.addEventListener('change', () => this.updateConversion());
+        this.elements.fromCurrency.addEventListener('change', () => this.updateRates());
+        this.elements.toCurrency.addEventListener('change', () => this.updateRates());
         this.elements.swapButton.addEventListener('click', () => this.swapCurrencies());
 
         // Initial conversion
         await this.updateRates();
         
         // Update rates every minute
-        this.updateInterval = setInterval(() => this.updateRates(), 60000);
+        refreshScheduler.register('converter', () => this.updateRates(), { interval: 60000 });
     },
 
     async updateRates() {
         try {
-            const currencies = ['bitcoin', 'ethereum', 'binancecoin', 'cardano', 'solana'];
-            const vsCurrencies = ['usd', 'eur', 'gbp'];
-            
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${currencies.join(',')}&vs_currencies=${vsCurrencies.join(',')}`
-            );
+            // Only the two chosen coins are needed; fiat rates come quoted on them
+            const currencies = [this.elements.fromCurrency.value, this.elements.toCurrency.value]
+                .filter(id => id && !coinRegistry.isFiat(id));
+            const vsCurrencies = coinRegistry.fiats.map(fiat => fiat.id);
             
-            if (!response.ok) throw new Error('Failed to fetch rates');
-            
-            this.rates = await response.json();
+            this.rates = currencies.length > 0 ? await marketData.getPrices(currencies, { vsCurrencies }) : {};
             this.updateConversion();
             
             // Update last updated time
@@ -823,10 +1881,8 @@ const cryptoConverter = {
         const toCurrency = this.elements.toCurrency.value;
         
         // Update currency labels
-        this.elements.fromCurrencyLabel.textContent = 
-            this.elements.fromCurrency.options[this.elements.fromCurrency.selectedIndex].text.split(' ')[1];
-        this.elements.toCurrencyLabel.textContent = 
-            this.elements.toCurrency.options[this.elements.toCurrency.selectedIndex].text.split(' ')[1];
+        this.elements.fromCurrencyLabel.textContent = coinRegistry.get(fromCurrency)?.symbol.toUpperCase() || '';
+        this.elements.toCurrencyLabel.textContent = coinRegistry.get(toCurrency)?.symbol.toUpperCase() || '';
 
         // Update rate display
         const rate = this.getRate(fromCurrency, toCurrency);
@@ -864,8 +1920,8 @@ const cryptoConverter = {
         const toAmount = this.elements.toAmount.value;
 
         // Swap currencies
-        this.elements.fromCurrency.value = toCurrency;
-        this.elements.toCurrency.value = fromCurrency;
+        this.fromPicker.setValue(toCurrency);
+        this.toPicker.setValue(fromCurrency);
 
         // Swap amounts
         this.elements.fromAmount.value = toAmount;
@@ -889,7 +1945,6 @@ const watchlist = {
     },
 
     coins: [],
-    updateInterval: null,
 
     async init() {
         if (!this.elements.coinSearch) return;
@@ -897,14 +1952,43 @@ const watchlist = {
         // Load watchlist from localStorage
         this.loadWatchlist();
 
+        this.coinPicker = createCoinPicker(this.elements.coinSearch);
+
         // Add event listeners
         this.elements.addButton.addEventListener('click', () => this.addCoin());
-        
+        document.addEventListener('quoteCurrencyChanged', () => this.updatePrices());
+
+        // Live prices come from the price stream, which polls while it can't stream
+        this.subscribeToStream();
+
         // Initial update
         await this.updatePrices();
-        
-        // Update prices every minute
-        this.updateInterval = setInterval(() => this.updatePrices(), 60000);
+    },
+
+    subscribeToStream() {
+        priceStream.subscribe('watchlist', this.coins.map(coin => coin.id), {
+            onTicks: (ticks) => this.applyTicks(ticks),
+            poll: () => this.updatePrices()
+        });
+    },
+
+    // Streamed prices are in USD
+    applyTicks(ticks) {
+        const currency = quoteCurrency.current;
+        this.coins = this.coins.map(coin => {
+            const tick = ticks[coin.id];
+            if (!tick) return coin;
+
+            return {
+                ...coin,
+                data: {
+                    ...coin.data,
+                    [currency]: quoteCurrency.convert(tick.price, 'usd', currency),
+                    [`${currency}_24h_change`]: tick.change24h ?? coin.data?.[`${currency}_24h_change`]
+                }
+            };
+        });
+        this.renderWatchlist();
     },
 
     loadWatchlist() {
@@ -918,6 +2002,7 @@ const watchlist = {
 
     saveWatchlist() {
         localStorage.setItem('cryptoWatchlist', JSON.stringify(this.coins));
+        this.subscribeToStream();
         this.updateEmptyState();
     },
 
@@ -943,7 +2028,7 @@ const watchlist = {
         }
 
         // Reset select
-        this.elements.coinSearch.value = '';
+        this.coinPicker.setValue('');
     },
 
     removeCoin(coinId) {
@@ -954,13 +2039,11 @@ const watchlist = {
 
     async getCoinData(coinId) {
         try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`
-            );
-            
-            if (!response.ok) throw new Error('Failed to fetch coin data');
-            
-            const data = await response.json();
+            const data = await marketData.getPrices(coinId, {
+                vsCurrencies: [quoteCurrency.current],
+                include24hrChange: true,
+                includeMarketCap: true
+            });
             return data[coinId];
         } catch (error) {
             console.error('Error fetching coin data:', error);
@@ -971,15 +2054,13 @@ const watchlist = {
     async updatePrices() {
         if (this.coins.length === 0) return;
 
-        const coinIds = this.coins.map(coin => coin.id).join(',');
+        const coinIds = this.coins.map(coin => coin.id);
         try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinIds}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`
-            );
-            
-            if (!response.ok) throw new Error('Failed to fetch prices');
-            
-            const data = await response.json();
+            const data = await marketData.getPrices(coinIds, {
+                vsCurrencies: [quoteCurrency.current],
+                include24hrChange: true,
+                includeMarketCap: true
+            });
             
             this.coins = this.coins.map(coin => ({
                 ...coin,
@@ -993,25 +2074,22 @@ const watchlist = {
     },
 
     formatNumber(number, type) {
-        if (value === null || value === undefined) return 'N/A';
+        if (number === null || number === undefined || isNaN(number)) return 'N/A';
 
         switch (type) {
             case 'price':
-                return new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: 'USD',
-                    minimumFractionDigits: 2,
-                    maximumFractionDigits: 6
-                }).format(number);
+                return quoteCurrency.format(number, { maximumFractionDigits: 6 });
 
             case 'change':
                 return number.toFixed(2) + '%';
 
-            case 'marketCap':
-                if (number >= 1e12) return (number / 1e12).toFixed(2) + 'T';
-                if (number >= 1e9) return (number / 1e9).toFixed(2) + 'B';
-                if (number >= 1e6) return (number / 1e6).toFixed(2) + 'M';
-                return number.toFixed(2);
+            case 'marketCap': {
+                const symbol = quoteCurrency.symbol();
+                if (number >= 1e12) return symbol + (number / 1e12).toFixed(2) + 'T';
+                if (number >= 1e9) return symbol + (number / 1e9).toFixed(2) + 'B';
+                if (number >= 1e6) return symbol + (number / 1e6).toFixed(2) + 'M';
+                return symbol + number.toFixed(2);
+            }
 
             default:
                 return value.toString();
@@ -1037,7 +2115,8 @@ const watchlist = {
             const { data } = coin;
             if (!data) return;
 
-            const change24h = data.usd_24h_change || 0;
+            const currency = quoteCurrency.current;
+            const change24h = data[`${currency}_24h_change`] || 0;
             const changeClass = change24h >= 0 ? 'positive' : 'negative';
             const changePrefix = change24h >= 0 ? '+' : '';
 
@@ -1046,20 +2125,22 @@ const watchlist = {
             item.innerHTML = `
                 <div class="coin-info">
                     <div class="coin-name">
-                        <span>${coin.name}</span>
+                        <span></span>
                     </div>
                 </div>
-                <div class="price">${this.formatNumber(data.usd, 'price')}</div>
+                <div class="price">${this.formatNumber(data[currency], 'price')}</div>
                 <div class="change-24h ${changeClass}">
                     ${changePrefix}${this.formatNumber(change24h, 'change')}
                 </div>
                 <div class="market-cap">
-                    ${this.formatNumber(data.usd_market_cap, 'marketCap')}
+                    ${this.formatNumber(data[`${currency}_market_cap`], 'marketCap')}
                 </div>
-                <button class="remove-from-watchlist" onclick="watchlist.removeCoin('${coin.id}')">
+                <button class="remove-from-watchlist">
                     <i class="fas fa-trash"></i>
                 </button>
             `;
+            item.querySelector('.coin-name span').textContent = coin.name;
+            item.querySelector('.remove-from-watchlist').addEventListener('click', () => this.removeCoin(coin.id));
 
             this.elements.watchlistItems.appendChild(item);
         });
@@ -1083,7 +2164,6 @@ const priceAlerts = {
     },
 
     alerts: [],
-    updateInterval: null,
 
     async init() {
         if (!this.elements.alertCoin) return;
@@ -1091,20 +2171,35 @@ const priceAlerts = {
         // Load alerts from localStorage
         this.loadAlerts();
 
+        this.coinPicker = createCoinPicker(this.elements.alertCoin);
+
         // Add event listeners
         this.elements.addButton.addEventListener('click', () => this.addAlert());
-        
+        document.addEventListener('quoteCurrencyChanged', () => this.renderAlerts());
+
+        // Streamed prices trigger alerts as they arrive; the stream polls while it can't stream
+        this.subscribeToStream();
+
         // Initial check
         await this.checkAlerts();
-        
-        // Check alerts every minute
-        this.updateInterval = setInterval(() => this.checkAlerts(), 60000);
+    },
+
+    subscribeToStream() {
+        const coinIds = this.alerts.filter(alert => alert.status === 'active').map(alert => alert.coinId);
+        priceStream.subscribe('alerts', coinIds, {
+            onTicks: (ticks) => this.evaluateAlerts(
+                Object.fromEntries(Object.values(ticks).map(tick => [tick.coinId, tick.price])),
+                'usd'
+            ),
+            poll: () => this.checkAlerts()
+        });
     },
 
     loadAlerts() {
         const savedAlerts = localStorage.getItem('cryptoPriceAlerts');
         if (savedAlerts) {
-            this.alerts = JSON.parse(savedAlerts);
+            // Targets stay in the currency they were set in; older alerts were USD
+            this.alerts = JSON.parse(savedAlerts).map(alert => ({ currency: 'usd', ...alert }));
             this.renderAlerts();
         }
         this.updateEmptyState();
@@ -1112,6 +2207,7 @@ const priceAlerts = {
 
     saveAlerts() {
         localStorage.setItem('cryptoPriceAlerts', JSON.stringify(this.alerts));
+        this.subscribeToStream();
         this.updateEmptyState();
     },
 
@@ -1142,14 +2238,30 @@ const priceAlerts = {
             return;
         }
 
-        // Add alert
-        const alert = {
-            id: Date.now(),
+        this.createAlert({
             coinId,
             coinName: this.elements.alertCoin.options[this.elements.alertCoin.selectedIndex].text,
             type,
             targetPrice: price,
+            currentPrice
+        });
+
+        // Reset form
+        this.coinPicker.setValue('');
+        this.elements.alertPrice.value = '';
+        this.elements.alertType.value = 'above';
+    },
+
+    // Also used by the price chart to turn a drawn line into an alert
+    createAlert({ coinId, coinName, type, targetPrice, currentPrice, currency = quoteCurrency.current }) {
+        const alert = {
+            id: Date.now(),
+            coinId,
+            coinName,
+            type,
+            targetPrice,
             currentPrice,
+            currency,
             status: 'active',
             createdAt: new Date().toISOString()
         };
@@ -1157,11 +2269,7 @@ const priceAlerts = {
         this.alerts.push(alert);
         this.saveAlerts();
         this.renderAlerts();
-
-        // Reset form
-        this.elements.alertCoin.value = '';
-        this.elements.alertPrice.value = '';
-        this.elements.alertType.value = 'above';
+        return alert;
     },
 
     removeAlert(id) {
@@ -1172,14 +2280,9 @@ const priceAlerts = {
 
     async getCurrentPrice(coinId) {
         try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`
-            );
-            
-            if (!response.ok) throw new Error('Failed to fetch price');
-            
-            const data = await response.json();
-            return data[coinId].usd;
+            const currency = quoteCurrency.current;
+            const data = await marketData.getPrices(coinId, { vsCurrencies: [currency] });
+            return data[coinId][currency];
         } catch (error) {
             console.error('Error fetching price:', error);
             return null;
@@ -1194,45 +2297,51 @@ const priceAlerts = {
 
         const coinIds = [...new Set(activeAlerts.map(alert => alert.coinId))];
         try {
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinIds.join(',')}&vs_currencies=usd`
+            const currency = quoteCurrency.current;
+            const data = await marketData.getPrices(coinIds, { vsCurrencies: [currency] });
+            const prices = Object.fromEntries(
+                coinIds.filter(coinId => data[coinId]).map(coinId => [coinId, data[coinId][currency]])
             );
-            
-            if (!response.ok) throw new Error('Failed to fetch prices');
-            
-            const data = await response.json();
-            
-            let alertTriggered = false;
-            this.alerts = this.alerts.map(alert => {
-                if (alert.status !== 'active') return alert;
-
-                const currentPrice = data[alert.coinId].usd;
-                const isTriggered = alert.type === 'above' 
-                    ? currentPrice >= alert.targetPrice
-                    : currentPrice <= alert.targetPrice;
-
-                if (isTriggered && alert.status === 'active') {
-                    alertTriggered = true;
-                    this.showNotification(alert, currentPrice);
-                    return { ...alert, status: 'triggered', currentPrice };
-                }
+            this.evaluateAlerts(prices, currency);
+        } catch (error) {
+            console.error('Error checking alerts:', error);
+        }
+    },
 
-                return { ...alert, currentPrice };
-            });
+    // prices maps coin IDs to their current price in currency; coins missing from it are left as they are.
+    // Each alert is compared in its own currency.
+    evaluateAlerts(prices, currency) {
+        let alertTriggered = false;
+        this.alerts = this.alerts.map(alert => {
+            if (alert.status !== 'active' || prices[alert.coinId] === undefined) return alert;
+
+            const currentPrice = quoteCurrency.convert(prices[alert.coinId], currency, alert.currency);
+            if (isNaN(currentPrice)) return alert;
+
+            const isTriggered = alert.type === 'above' 
+                ? currentPrice >= alert.targetPrice
+                : currentPrice <= alert.targetPrice;
 
-            if (alertTriggered) {
-                this.saveAlerts();
+            if (isTriggered) {
+                alertTriggered = true;
+                this.showNotification(alert, currentPrice);
+                return { ...alert, status: 'triggered', currentPrice };
             }
-            
-            this.renderAlerts();
-        } catch (error) {
-            console.error('Error checking alerts:', error);
+
+            return { ...alert, currentPrice };
+        });
+
+        if (alertTriggered) {
+            this.saveAlerts();
         }
+        
+        this.renderAlerts();
     },
 
     showNotification(alert, currentPrice) {
         const notification = new Notification('Crypto Price Alert', {
-            body: `${alert.coinName} has reached your target price of $${alert.targetPrice}! Current price: $${currentPrice}`,
+            body: `${alert.coinName} has reached your target price of ${this.formatPrice(alert.targetPrice, alert.currency)}! ` +
+                `Current price: ${this.formatPrice(currentPrice, alert.currency)}`,
             icon: '/favicon.ico'
         });
 
@@ -1242,13 +2351,8 @@ const priceAlerts = {
         };
     },
 
-    formatPrice(price) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 6
-        }).format(price);
+    formatPrice(price, currency) {
+        return quoteCurrency.format(price, { currency, maximumFractionDigits: 6 });
     },
 
     updateEmptyState() {
@@ -1271,21 +2375,23 @@ const priceAlerts = {
             item.className = 'alert-item';
             item.innerHTML = `
                 <div class="alert-info">
-                    <span class="alert-coin">${alert.coinName}</span>
+                    <span class="alert-coin"></span>
                     <span class="alert-condition">
-                        Target: ${alert.type === 'above' ? 'Above' : 'Below'} ${this.formatPrice(alert.targetPrice)}
+                        Target: ${alert.type === 'above' ? 'Above' : 'Below'} ${this.formatPrice(quoteCurrency.convert(alert.targetPrice, alert.currency))}
                     </span>
                 </div>
                 <div class="alert-current-price">
-                    Current: ${this.formatPrice(alert.currentPrice)}
+                    Current: ${this.formatPrice(quoteCurrency.convert(alert.currentPrice, alert.currency))}
                 </div>
                 <div class="alert-status ${alert.status}">
                     ${alert.status.charAt(0).toUpperCase() + alert.status.slice(1)}
                 </div>
-                <button class="remove-alert" onclick="priceAlerts.removeAlert(${alert.id})">
+                <button class="remove-alert">
                     <i class="fas fa-trash"></i>
                 </button>
             `;
+            item.querySelector('.alert-coin').textContent = alert.coinName;
+            item.querySelector('.remove-alert').addEventListener('click', () => this.removeAlert(alert.id));
 
             this.elements.alertsList.appendChild(item);
         });
@@ -1341,6 +2447,15 @@ const miningCalculator = {
 
         this.elements.form.calculateBtn.addEventListener('click', () => this.calculate());
         this.elements.form.coin.addEventListener('change', () => this.updateHashrateUnit());
+
+        // Electricity cost is entered in the quote currency, so convert it and redo any results
+        document.addEventListener('quoteCurrencyChanged', ({ detail }) => {
+            const cost = parseFloat(this.elements.form.electricityCost.value);
+            const converted = quoteCurrency.convert(cost, detail.previous, detail.currency);
+            if (!isNaN(converted)) this.elements.form.electricityCost.value = converted.toFixed(4);
+
+            if (this.elements.results.container.style.display === 'block') this.calculate();
+        });
     },
 
     updateHashrateUnit() {
@@ -1352,9 +2467,7 @@ const miningCalculator = {
 
     async getNetworkStats(coin) {
         try {
-            const response = await fetch(`https://api.coingecko.com/api/v3/coins/${coin.toLowerCase()}?localization=false&tickers=false&market_data=true&community_data=false&developer_data=false&sparkline=false`);
-            if (!response.ok) throw new Error('Failed to fetch network stats');
-            return await response.json();
+            return await marketData.getCoin(coin.toLowerCase());
         } catch (error) {
             console.error('Error fetching network stats:', error);
             return null;
@@ -1405,7 +2518,7 @@ const miningCalculator = {
                 return;
             }
 
-            const coinPrice = networkData.market_data.current_price.usd;
+            const coinPrice = networkData.market_data.current_price[quoteCurrency.current];
             const networkHashrate = networkData.market_data.total_volume.usd; // Using volume as a proxy for network hashrate
             const difficulty = networkData.market_data.high_24h.usd; // Using 24h high as a proxy for difficulty
 
@@ -1425,12 +2538,12 @@ const miningCalculator = {
 
             // Update results
             this.elements.results.container.style.display = 'block';
-            this.elements.results.dailyRevenue.textContent = `$${this.formatNumber(dailyRevenue)}`;
-            this.elements.results.dailyPowerCost.textContent = `$${this.formatNumber(dailyPowerCost)}`;
-            this.elements.results.dailyProfit.textContent = `$${this.formatNumber(dailyProfit)}`;
-            this.elements.results.monthlyRevenue.textContent = `$${this.formatNumber(dailyRevenue * 30)}`;
-            this.elements.results.monthlyPowerCost.textContent = `$${this.formatNumber(dailyPowerCost * 30)}`;
-            this.elements.results.monthlyProfit.textContent = `$${this.formatNumber(dailyProfit * 30)}`;
+            this.elements.results.dailyRevenue.textContent = quoteCurrency.format(dailyRevenue);
+            this.elements.results.dailyPowerCost.textContent = quoteCurrency.format(dailyPowerCost);
+            this.elements.results.dailyProfit.textContent = quoteCurrency.format(dailyProfit);
+            this.elements.results.monthlyRevenue.textContent = quoteCurrency.format(dailyRevenue * 30);
+            this.elements.results.monthlyPowerCost.textContent = quoteCurrency.format(dailyPowerCost * 30);
+            this.elements.results.monthlyProfit.textContent = quoteCurrency.format(dailyProfit * 30);
 
             // Update network details
             this.elements.results.networkDifficulty.textContent = this.formatNumber(difficulty);
@@ -1441,7 +2554,7 @@ const miningCalculator = {
             // Color code profits
             const profitElements = [this.elements.results.dailyProfit, this.elements.results.monthlyProfit];
             profitElements.forEach(element => {
-                if (parseFloat(element.textContent.replace('$', '')) > 0) {
+                if (dailyProfit > 0) {
                     element.style.color = 'var(--success-color)';
                 } else {
                     element.style.color = 'var(--error-color)';
@@ -1481,6 +2594,7 @@ const cryptoHeatmap = {
         });
 
         this.elements.sortSelect.addEventListener('change', () => this.sortAndRender());
+        document.addEventListener('quoteCurrencyChanged', () => this.fetchData());
 
         // Initialize D3 SVG
         this.svg = d3.select('#heatmapChart')
@@ -1494,7 +2608,7 @@ const cryptoHeatmap = {
         this.render();
 
         // Update every 5 minutes
-        setInterval(() => this.fetchData(), 300000);
+        refreshScheduler.register('heatmap', () => this.fetchData(), { interval: 300000 });
 
         // Handle window resize
         window.addEventListener('resize', () => this.render());
@@ -1502,15 +2616,10 @@ const cryptoHeatmap = {
 
     async fetchData() {
         try {
-            const response = await fetch(
-                'https://api.coingecko.com/api/v3/coins/markets?' +
-                'vs_currency=usd&order=market_cap_desc&per_page=100&page=1&' +
-                'sparkline=false&price_change_percentage=24h,7d,30d'
-            );
-
-            if (!response.ok) throw new Error('Failed to fetch market data');
-            
-            this.data = await response.json();
+            this.data = await marketData.getMarkets({
+                vsCurrency: quoteCurrency.current,
+                priceChangePercentage: '24h,7d,30d'
+            }, 'low');
             this.render();
         } catch (error) {
             console.error('Error fetching market data:', error);
@@ -1542,21 +2651,18 @@ const cryptoHeatmap = {
 
         switch (type) {
             case 'price':
-                return new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: 'USD',
-                    minimumFractionDigits: 2,
-                    maximumFractionDigits: 6
-                }).format(value);
+                return quoteCurrency.format(value, { maximumFractionDigits: 6 });
 
             case 'percentage':
                 return value.toFixed(2) + '%';
 
-            case 'marketcap':
-                if (value >= 1e12) return (value / 1e12).toFixed(2) + 'T';
-                if (value >= 1e9) return (value / 1e9).toFixed(2) + 'B';
-                if (value >= 1e6) return (value / 1e6).toFixed(2) + 'M';
-                return value.toFixed(2);
+            case 'marketcap': {
+                const symbol = quoteCurrency.symbol();
+                if (value >= 1e12) return symbol + (value / 1e12).toFixed(2) + 'T';
+                if (value >= 1e9) return symbol + (value / 1e9).toFixed(2) + 'B';
+                if (value >= 1e6) return symbol + (value / 1e6).toFixed(2) + 'M';
+                return symbol + value.toFixed(2);
+            }
 
             default:
                 return value.toString();
@@ -1761,10 +2867,13 @@ const dcaCalculator = {
         currentValue: document.querySelector('.current-value .result-value'),
         totalReturn: document.querySelector('.total-return .result-value'),
         totalReturnPercentage: document.querySelector('.total-return .result-percentage'),
-        avgPrice: document.querySelector('.avg-price .result-value')
+        avgPrice: document.querySelector('.avg-price .result-value'),
+        exportButtons: document.querySelectorAll('#dcaExport .export-btn')
     },
     chart: null,
     data: null,
+    // Inputs the results were calculated with
+    calculated: null,
     currentTimeframe: 'all',
 
     init() {
@@ -1773,16 +2882,33 @@ const dcaCalculator = {
         defaultStartDate.setFullYear(defaultStartDate.getFullYear() - 1);
         this.elements.startDate.value = defaultStartDate.toISOString().split('T')[0];
 
+        createCoinPicker(this.elements.coin);
+
         // Add event listeners
         this.elements.calculateBtn.addEventListener('click', () => this.calculate());
         this.elements.timeframeButtons.forEach(btn => {
             btn.addEventListener('click', () => this.changeTimeframe(btn.dataset.timeframe));
         });
+        this.elements.exportButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.exportChart(btn.dataset.export));
+        });
+        document.addEventListener('quoteCurrencyChanged', (e) => this.changeCurrency(e.detail));
 
         // Initialize chart
         this.initChart();
     },
 
+    // Keep the entered amount worth the same and redo any results in the new currency
+    changeCurrency({ currency, previous }) {
+        const amount = parseFloat(this.elements.amount.value);
+        if (!isNaN(amount)) {
+            const converted = quoteCurrency.convert(amount, previous, currency);
+            if (!isNaN(converted)) this.elements.amount.value = converted.toFixed(2);
+        }
+
+        if (this.data) this.calculate();
+    },
+
     async calculate() {
         try {
             this.showLoading(true);
@@ -1807,6 +2933,10 @@ const dcaCalculator = {
 
             // Calculate returns
             this.data = this.calculateReturns(investmentDates, amount, priceData);
+            this.calculated = { coin, frequency, currency: quoteCurrency.current };
+            this.elements.exportButtons.forEach(btn => {
+                btn.disabled = false;
+            });
 
             // Update UI
             this.updateResults();
@@ -1836,17 +2966,12 @@ const dcaCalculator = {
     },
 
     async fetchHistoricalPrices(coin, startDate, endDate) {
-        const response = await fetch(
-            `https://api.coingecko.com/api/v3/coins/${coin}/market_chart/range?` +
-            `vs_currency=usd&from=${Math.floor(startDate.getTime() / 1000)}` +
-            `&to=${Math.floor(endDate.getTime() / 1000)}`
-        );
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch price data');
-        }
+        const data = await marketData.getMarketChartRange(coin, {
+            vsCurrency: quoteCurrency.current,
+            from: startDate.getTime(),
+            to: endDate.getTime()
+        });
 
-        const data = await response.json();
         return data.prices.reduce((acc, [timestamp, price]) => {
             acc[new Date(timestamp).toISOString().split('T')[0]] = price;
             return acc;
@@ -1923,19 +3048,14 @@ const dcaCalculator = {
     },
 
     updateResults() {
-        const formatter = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        });
-
         const summary = this.data.summary;
-        this.elements.totalInvested.textContent = formatter.format(summary.totalInvested);
+        this.elements.totalInvested.textContent = quoteCurrency.format(summary.totalInvested);
         this.elements.totalInvestedSub.textContent = `Over ${this.data.investments.length} investments`;
-        this.elements.currentValue.textContent = formatter.format(summary.currentValue);
-        this.elements.totalReturn.textContent = formatter.format(summary.totalReturn);
+        this.elements.currentValue.textContent = quoteCurrency.format(summary.currentValue);
+        this.elements.totalReturn.textContent = quoteCurrency.format(summary.totalReturn);
         this.elements.totalReturnPercentage.textContent = `${summary.returnPercentage.toFixed(2)}%`;
         this.elements.totalReturnPercentage.className = `result-percentage ${summary.returnPercentage >= 0 ? 'positive' : 'negative'}`;
-        this.elements.avgPrice.textContent = formatter.format(summary.averagePrice);
+        this.elements.avgPrice.textContent = quoteCurrency.format(summary.averagePrice);
     },
 
     updateChart() {
@@ -1976,12 +3096,10 @@ const dcaCalculator = {
                     y: {
                         beginAtZero: true,
                         ticks: {
-                            callback: value => new Intl.NumberFormat('en-US', {
-                                style: 'currency',
-                                currency: 'USD',
+                            callback: value => quoteCurrency.format(value, {
                                 minimumFractionDigits: 0,
                                 maximumFractionDigits: 0
-                            }).format(value)
+                            })
                         }
                     }
                 },
@@ -1990,10 +3108,7 @@ const dcaCalculator = {
                         callbacks: {
                             label: context => {
                                 const value = context.raw;
-                                return `${context.dataset.label}: ${new Intl.NumberFormat('en-US', {
-                                    style: 'currency',
-                                    currency: 'USD'
-                                }).format(value)}`;
+                                return `${context.dataset.label}: ${quoteCurrency.format(value)}`;
                             }
                         }
                     }
@@ -2004,20 +3119,15 @@ const dcaCalculator = {
 
     updateTable() {
         const data = this.filterDataByTimeframe(this.data.investments);
-        const formatter = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        });
-
         this.elements.tableBody.innerHTML = data.map(inv => `
             <tr>
                 <td>${inv.date.toLocaleDateString()}</td>
-                <td>${formatter.format(inv.amount)}</td>
-                <td>${formatter.format(inv.price)}</td>
+                <td>${quoteCurrency.format(inv.amount)}</td>
+                <td>${quoteCurrency.format(inv.price)}</td>
                 <td>${inv.coins.toFixed(8)}</td>
-                <td>${formatter.format(inv.value)}</td>
+                <td>${quoteCurrency.format(inv.value)}</td>
                 <td class="${inv.return >= 0 ? 'positive' : 'negative'}">
-                    ${formatter.format(inv.return)}
+                    ${quoteCurrency.format(inv.return)}
                 </td>
             </tr>
         `).join('');
@@ -2053,6 +3163,43 @@ const dcaCalculator = {
         }
     },
 
+    // The investments in the selected timeframe with the two plotted series
+    exportRows() {
+        const [value, invested] = this.chart.data.datasets;
+        return this.filterDataByTimeframe(this.data.investments).map((inv, index) => ({
+            date: inv.date.toISOString().slice(0, 10),
+            amount: inv.amount,
+            price: inv.price,
+            coins: inv.coins,
+            [value.label]: value.data[index],
+            [invested.label]: invested.data[index],
+            return: inv.return
+        }));
+    },
+
+    exportChart(format) {
+        if (!this.data) return;
+
+        const { coin, frequency, currency } = this.calculated;
+        const rows = this.exportRows();
+        const range = rows.length > 0
+            ? chartExport.rangeName(rows[0].date, rows[rows.length - 1].date)
+            : this.currentTimeframe;
+
+        chartExport.save(format, {
+            canvases: [this.elements.chart],
+            rows,
+            meta: {
+                coin,
+                currency,
+                frequency,
+                timeframe: this.currentTimeframe,
+                summary: this.data.summary
+            },
+            fileName: chartExport.fileName('dca', coin, currency, range)
+        });
+    },
+
     showLoading(show) {
         this.elements.loadingOverlay.classList.toggle('active', show);
     },
@@ -2096,19 +3243,19 @@ const trendingCoins = {
         lastUpdated: document.querySelector('.last-updated'),
         loading: document.querySelector('.trending-loading')
     },
-    refreshInterval: null,
 
     init() {
         this.fetchTrending();
         
         // Refresh data every 5 minutes
-        this.refreshInterval = setInterval(() => this.fetchTrending(), 300000);
+        refreshScheduler.register('trending', () => this.fetchTrending(), { interval: 300000 });
 
         // Add click event for manual refresh
         this.elements.refreshBtn.addEventListener('click', () => {
             this.elements.refreshBtn.classList.add('refreshing');
             this.fetchTrending();
         });
+        document.addEventListener('quoteCurrencyChanged', () => this.fetchTrending());
     },
 
     async fetchTrending() {
@@ -2116,17 +3263,17 @@ const trendingCoins = {
             this.showLoading(true);
 
             // Fetch trending coins
-            const trendingResponse = await fetch('https://api.coingecko.com/api/v3/search/trending');
-            const trendingData = await trendingResponse.json();
+            const trendingData = await marketData.getTrending('low');
 
             // Get coin IDs for price data
-            const coinIds = trendingData.coins.map(coin => coin.item.id).join(',');
+            const coinIds = trendingData.coins.map(coin => coin.item.id);
 
             // Fetch price data for trending coins
-            const priceResponse = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinIds}&vs_currencies=usd&include_24h_change=true`
-            );
-            const priceData = await priceResponse.json();
+            const priceData = await marketData.getPrices(coinIds, {
+                vsCurrencies: [quoteCurrency.current],
+                include24hrChange: true,
+                priority: 'low'
+            });
 
             // Combine trending and price data
             const combinedData = trendingData.coins.map(coin => ({
@@ -2151,12 +3298,7 @@ const trendingCoins = {
     },
 
     renderTrending(coins) {
-        const formatter = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 6
-        });
+        const currency = quoteCurrency.current;
 
         this.elements.grid.innerHTML = coins.map((coin, index) => `
             <div class="trending-card">
@@ -2169,8 +3311,8 @@ const trendingCoins = {
                     <div class="coin-symbol">${coin.symbol}</div>
                 </div>
                 <div class="coin-price">
-                    <div class="price-value">${formatter.format(coin.price?.usd || 0)}</div>
-                    ${this.renderPriceChange(coin.price?.usd_24h_change)}
+                    <div class="price-value">${quoteCurrency.format(coin.price?.[currency] || 0, { maximumFractionDigits: 6 })}</div>
+                    ${this.renderPriceChange(coin.price?.[`${currency}_24h_change`])}
                 </div>
             </div>
         `).join('');
@@ -2202,9 +3344,7 @@ const trendingCoins = {
     },
 
     destroy() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
-        }
+        refreshScheduler.unregister('trending');
     }
 };
 
@@ -2229,6 +3369,8 @@ const pricePredictions = {
         const today = new Date().toISOString().split('T')[0];
         this.elements.predictionDate.min = today;
 
+        createCoinPicker(document.getElementById('predictionCoin'));
+
         // Initialize tabs
         this.elements.tabs.forEach(tab => {
             tab.addEventListener('click', () => {
@@ -2248,6 +3390,7 @@ const pricePredictions = {
         // Initialize leaderboard filters
         this.elements.leaderboardTimeframe.addEventListener('change', () => this.updateLeaderboard());
         this.elements.leaderboardCoin.addEventListener('change', () => this.updateLeaderboard());
+        document.addEventListener('quoteCurrencyChanged', () => this.updateLeaderboard());
 
         // Load saved nickname
         const savedNickname = localStorage.getItem('predictionNickname');
@@ -2269,6 +3412,7 @@ const pricePredictions = {
         const formData = {
             coin: document.getElementById('predictionCoin').value,
             price: parseFloat(document.getElementById('predictionPrice').value),
+            currency: quoteCurrency.current,
             date: document.getElementById('predictionDate').value,
             nickname: document.getElementById('predictionNickname').value,
             timestamp: new Date().toISOString()
@@ -2316,24 +3460,27 @@ const pricePredictions = {
         // Filter out future predictions
         predictions = predictions.filter(p => new Date(p.date) <= now);
 
-        // Calculate accuracy
-        const accuracyPromises = predictions.map(async prediction => {
-            try {
-                const response = await fetch(
-                    `https://api.coingecko.com/api/v3/simple/price?ids=${prediction.coin}&vs_currencies=usd`
-                );
-                const data = await response.json();
-                const actualPrice = data[prediction.coin].usd;
+        // Calculate accuracy with one price request for every coin on the board
+        const currency = quoteCurrency.current;
+        let prices = {};
+        try {
+            prices = await marketData.getPrices(predictions.map(p => p.coin), { vsCurrencies: [currency] });
+        } catch (error) {
+            console.error('Error fetching actual prices:', error);
+        }
+
+        // Predictions made before the currency setting existed are in USD
+        const resolvedPredictions = predictions
+            .map(prediction => ({
+                ...prediction,
+                price: quoteCurrency.convert(prediction.price, prediction.currency || 'usd', currency)
+            }))
+            .filter(prediction => prices[prediction.coin] && !isNaN(prediction.price))
+            .map(prediction => {
+                const actualPrice = prices[prediction.coin][currency];
                 const accuracy = 100 - Math.abs((prediction.price - actualPrice) / actualPrice * 100);
                 return { ...prediction, actualPrice, accuracy };
-            } catch (error) {
-                console.error('Error fetching actual price:', error);
-                return null;
-            }
-        });
-
-        const resolvedPredictions = (await Promise.all(accuracyPromises))
-            .filter(p => p !== null)
+            })
             .sort((a, b) => b.accuracy - a.accuracy);
 
         // Render leaderboard
@@ -2341,20 +3488,15 @@ const pricePredictions = {
     },
 
     renderLeaderboard(predictions) {
-        const formatter = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 6
-        });
+        const format = value => quoteCurrency.format(value, { maximumFractionDigits: 6 });
 
         this.elements.leaderboardBody.innerHTML = predictions.map((prediction, index) => `
             <tr>
                 <td>${index + 1}</td>
                 <td>${prediction.nickname}</td>
                 <td>${prediction.coin.charAt(0).toUpperCase() + prediction.coin.slice(1)}</td>
-                <td>${formatter.format(prediction.price)}</td>
-                <td>${formatter.format(prediction.actualPrice)}</td>
+                <td>${format(prediction.price)}</td>
+                <td>${format(prediction.actualPrice)}</td>
                 <td>
                     <span class="accuracy-badge ${this.getAccuracyClass(prediction.accuracy)}">
                         ${prediction.accuracy.toFixed(2)}%
@@ -2383,6 +3525,182 @@ const pricePredictions = {
 // Initialize price predictions
 pricePredictions.init();
 
+// API Status
+const apiStatus = {
+    elements: {
+        badge: document.getElementById('apiStatus')
+    },
+    queueState: null,
+    provider: null,
+    countdown: null,
+
+    init() {
+        if (!this.elements.badge) return;
+
+        document.addEventListener('requestQueueChanged', (e) => {
+            this.queueState = e.detail;
+            this.render();
+        });
+        document.addEventListener('marketProviderChanged', (e) => {
+            this.provider = e.detail;
+            this.render();
+        });
+    },
+
+    render() {
+        clearTimeout(this.countdown);
+
+        const badge = this.elements.badge;
+        const state = this.queueState;
+        const messages = [];
+
+        if (state?.status === 'throttled') {
+            const seconds = Math.ceil((state.resumesAt - Date.now()) / 1000);
+            messages.push(`Rate limited · resuming in ${seconds}s (${state.queued} queued)`);
+            // Keep the countdown moving while nothing else changes
+            this.countdown = setTimeout(() => {
+                this.queueState = requestScheduler.getState();
+                this.render();
+            }, 1000);
+        } else if (state?.status === 'retrying') {
+            messages.push(`Retrying requests (${state.queued} queued)`);
+        }
+
+        if (this.provider?.simulated) {
+            messages.push('Mock data · offline mode');
+        } else if (this.provider && !this.provider.primary) {
+            messages.push(`Using ${this.provider.label} data`);
+        }
+
+        badge.className = `api-status ${state ? state.status : ''}`;
+        badge.textContent = messages.join(' · ');
+        badge.hidden = messages.length === 0;
+    }
+};
+
+// Initialize API status
+apiStatus.init();
+
+// Tick History settings
+const tickHistorySettings = {
+    elements: {
+        panel: document.getElementById('tickHistory'),
+        retention: document.getElementById('tickRetention'),
+        purge: document.getElementById('purgeTicks'),
+        stats: document.getElementById('tickHistoryStats')
+    },
+
+    init() {
+        if (!this.elements.panel) return;
+
+        this.elements.retention.value = String(tickHistory.retentionDays());
+        this.elements.retention.addEventListener('change', () => this.changeRetention());
+        this.elements.purge.addEventListener('click', () => this.purge());
+        this.elements.panel.addEventListener('toggle', () => this.renderStats());
+        document.addEventListener('tickHistoryChanged', () => this.renderStats());
+    },
+
+    async changeRetention() {
+        const days = Number(this.elements.retention.value);
+        const warning = days === 0
+            ? 'Every recorded tick will be deleted and recording stops.'
+            : `Ticks older than ${days} day${days === 1 ? '' : 's'} will be deleted.`;
+        if (days < tickHistory.retentionDays() && !confirm(`${warning} Continue?`)) {
+            this.elements.retention.value = String(tickHistory.retentionDays());
+            return;
+        }
+
+        try {
+            await tickHistory.setRetentionDays(days);
+        } catch (error) {
+            console.error('Error changing tick retention:', error);
+            alert('Failed to change how long ticks are kept. Please try again.');
+        }
+    },
+
+    async purge() {
+        if (!confirm('Delete every recorded price tick? Charts will only show API data until new ticks arrive.')) return;
+
+        try {
+            await tickHistory.purge();
+        } catch (error) {
+            console.error('Error deleting tick history:', error);
+            alert('Failed to delete the recorded ticks. Please try again.');
+        }
+    },
+
+    async renderStats() {
+        if (!this.elements.panel.open) return;
+
+        try {
+            const { ticks, coins, since } = await tickHistory.stats();
+            this.elements.stats.textContent = ticks === 0
+                ? 'No ticks recorded yet.'
+                : `${ticks.toLocaleString()} ticks for ${coins} coin${coins === 1 ? '' : 's'} since ${new Date(since).toLocaleString()}.`;
+            this.elements.purge.disabled = ticks === 0;
+        } catch (error) {
+            console.error('Error reading tick history:', error);
+            this.elements.stats.textContent = 'Tick history is not available in this browser.';
+            this.elements.purge.disabled = true;
+        }
+    }
+};
+
+// Initialize tick history settings
+tickHistorySettings.init();
+
+// Offline Mode
+const offlineMode = {
+    liveSections: ['charts', 'portfolio', 'converter', 'watchlist', 'priceAlerts', 'cryptoHeatmap', 'trendingCoins'],
+
+    init() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.error('Error registering service worker:', error);
+            });
+        }
+
+        document.addEventListener('marketDataFreshness', (e) => this.renderBadges(e.detail));
+        window.addEventListener('online', () => this.refresh());
+    },
+
+    renderBadges({ stale, since }) {
+        this.liveSections.forEach(id => {
+            const section = document.getElementById(id);
+            if (!section) return;
+
+            let badge = section.querySelector('.stale-badge');
+            if (!stale) {
+                badge?.remove();
+                return;
+            }
+
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'stale-badge';
+                section.querySelector('h2').insertAdjacentElement('afterend', badge);
+            }
+
+            const time = new Date(since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            badge.innerHTML = `<i class="fas fa-clock"></i> Stale since ${time}`;
+        });
+    },
+
+    // Back online: fetch everything again instead of waiting for the next timer
+    refresh() {
+        cryptoChart.updateChart();
+        portfolioTracker.updatePortfolioValues();
+        cryptoConverter.updateRates();
+        watchlist.updatePrices();
+        priceAlerts.checkAlerts();
+        cryptoHeatmap.fetchData();
+        trendingCoins.fetchTrending();
+    }
+};
+
+// Initialize offline mode
+offlineMode.init();
+
 // Initialize particles.js
 particlesJS('particles-js', {
     particles: {
@@ -0,0 +1,191 @@
+// Live prices pushed over a Binance-style ticker WebSocket. Modules subscribe with the coins they
+// show; while the socket is down (or a coin has no stream) they are polled instead.
+const priceStream = {
+    liveUrl: 'wss://stream.binance.com:9443/stream',
+    mockUrl: 'ws://localhost:8765/stream',
+    storageKey: 'priceStreamUrl',
+    quote: 'USDT',
+    pollInterval: 60000,
+    flushInterval: 1000,
+    maxReconnectDelay: 30000,
+
+    socket: null,
+    connected: false,
+    subscribers: new Map(),
+    streams: new Set(),
+    lastTicks: new Map(),
+    pendingTicks: new Map(),
+    reconnectAttempt: 0,
+    reconnectTimer: null,
+    flushTimer: null,
+    messageId: 0,
+
+    // ?stream=ws://host:port/stream picks another feed (remembered), ?stream=off turns streaming off
+    getUrl() {
+        const param = new URLSearchParams(window.location.search).get('stream');
+        if (param !== null) {
+            localStorage.setItem(this.storageKey, param);
+        }
+
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved === 'off') return null;
+        if (saved) return saved;
+        return marketData.providers.includes(mockProvider) ? this.mockUrl : this.liveUrl;
+    },
+
+    init() {
+        this.url = this.getUrl();
+
+        // Keep polling in background tabs (less often) so price alerts still fire there
+        refreshScheduler.register('prices', () => this.poll(), { interval: this.pollInterval, whenHidden: 'slow' });
+
+        window.addEventListener('online', () => this.reconnect(0));
+        this.connect();
+    },
+
+    // name identifies the module, so subscribing again replaces its coin list
+    subscribe(name, coinIds, { onTicks, poll }) {
+        this.subscribers.set(name, { coinIds: [...new Set(coinIds)], onTicks, poll });
+        this.updateStreams();
+    },
+
+    streamFor(coinId) {
+        const base = coinMappings.forProvider(coinId, 'binance');
+        return base ? `${base}${this.quote}`.toLowerCase() + '@ticker' : null;
+    },
+
+    // Whether every one of these coins is currently arriving over the socket. A stream for a pair
+    // Binance doesn't list never sends anything, so it only counts once it has ticked lately.
+    covers(coinIds) {
+        return this.connected && coinIds.every(coinId => {
+            const stream = this.streamFor(coinId);
+            return this.streams.has(stream) && Date.now() - (this.lastTicks.get(stream) || 0) < this.pollInterval;
+        });
+    },
+
+    connect() {
+        if (!this.url || this.socket) return;
+
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error('Error opening price stream:', error);
+            this.socket = null;
+            this.reconnect();
+            return;
+        }
+
+        this.socket.addEventListener('open', () => {
+            this.connected = true;
+            this.reconnectAttempt = 0;
+            this.send('SUBSCRIBE', [...this.streams]);
+            this.notify();
+        });
+        this.socket.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.socket.addEventListener('close', () => this.handleClose());
+        this.socket.addEventListener('error', () => this.socket?.close());
+    },
+
+    handleClose() {
+        const wasConnected = this.connected;
+        this.socket = null;
+        this.connected = false;
+        this.notify();
+
+        // Nothing is streaming now, so catch up straight away rather than on the next poll
+        if (wasConnected) this.poll();
+        this.reconnect();
+    },
+
+    reconnect(delay) {
+        clearTimeout(this.reconnectTimer);
+        if (!this.url || this.socket) return;
+
+        const backoff = Math.min(this.maxReconnectDelay, 1000 * 2 ** this.reconnectAttempt++);
+        const wait = delay ?? backoff / 2 + Math.random() * backoff / 2;
+        this.reconnectTimer = setTimeout(() => this.connect(), wait);
+    },
+
+    send(method, params) {
+        if (!this.connected || params.length === 0) return;
+        this.socket.send(JSON.stringify({ method, params, id: ++this.messageId }));
+    },
+
+    // Keep the socket subscribed to exactly the coins some module is showing
+    updateStreams() {
+        const wanted = new Set();
+        this.subscribers.forEach(({ coinIds }) => {
+            coinIds.map(coinId => this.streamFor(coinId)).filter(Boolean).forEach(stream => wanted.add(stream));
+        });
+
+        this.send('SUBSCRIBE', [...wanted].filter(stream => !this.streams.has(stream)));
+        this.send('UNSUBSCRIBE', [...this.streams].filter(stream => !wanted.has(stream)));
+        this.streams = wanted;
+    },
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.error('Error parsing price stream message:', error);
+            return;
+        }
+
+        const data = message.data || message;
+        if (data.e !== '24hrTicker' && data.e !== 'trade') return;
+
+        const coinId = coinMappings.fromProvider(data.s.replace(new RegExp(`${this.quote}$`), ''), 'binance');
+        this.lastTicks.set(this.streamFor(coinId), Date.now());
+        const previous = this.pendingTicks.get(coinId);
+        this.pendingTicks.set(coinId, {
+            coinId,
+            price: Number(data.e === 'trade' ? data.p : data.c),
+            change24h: data.e === '24hrTicker' ? Number(data.P) : previous?.change24h,
+            time: data.E
+        });
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    },
+
+    // Hand out the latest tick per coin at most once per flushInterval
+    flush() {
+        this.flushTimer = null;
+        const ticks = Object.fromEntries(this.pendingTicks);
+        this.pendingTicks.clear();
+
+        marketData.applyTicks(ticks);
+        this.subscribers.forEach(subscriber => {
+            const relevant = subscriber.coinIds.filter(coinId => ticks[coinId]);
+            if (relevant.length === 0) return;
+
+            try {
+                subscriber.onTicks(Object.fromEntries(relevant.map(coinId => [coinId, ticks[coinId]])));
+            } catch (error) {
+                console.error('Error handling price ticks:', error);
+            }
+        });
+    },
+
+    // Polling fallback for subscribers the socket isn't covering
+    poll() {
+        this.subscribers.forEach(subscriber => {
+            if (subscriber.coinIds.length === 0 || this.covers(subscriber.coinIds)) return;
+
+            try {
+                subscriber.poll();
+            } catch (error) {
+                console.error('Error polling prices:', error);
+            }
+        });
+    },
+
+    notify() {
+        document.dispatchEvent(new CustomEvent('priceStreamStatus', { detail: { connected: this.connected } }));
+    }
+};
+
+// Connect once the modules have subscribed with their coins
+document.addEventListener('DOMContentLoaded', () => priceStream.init());
@@ -0,0 +1,139 @@
+// Service worker: keeps the app shell and the last successful API responses for offline use
+const SHELL_CACHE = 'rz1crypto-shell-v1';
+const API_CACHE = 'rz1crypto-api-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'db.js',
+    'api.js',
+    'mock/provider.js',
+    'refresh.js',
+    'stream.js',
+    'tick-history.js',
+    'coins.js',
+    'currency.js',
+    'portfolio-ledger.js',
+    'tax-lots.js',
+    'trade-import.js',
+    'portfolio-history.js',
+    'rebalance.js',
+    'indicators.js',
+    'drawings.js',
+    'trade-markers.js',
+    'chart-pane.js',
+    'chart-export.js',
+    'coin-details.js',
+    'theme.js',
+    'script.js',
+    'assets/logo.png',
+    'assets/favicon.png'
+];
+
+const API_HOSTS = ['api.coingecko.com', 'api.coincap.io', 'api.binance.com'];
+// Time ranges end at the moment they were asked for, so the same URL never comes back
+const RANGE_PARAMS = ['from', 'to', 'start', 'end', 'startTime', 'endTime'];
+const API_CACHE_LIMIT = 200;
+const API_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE && key !== API_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => pruneApiCache())
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+
+    const url = new URL(event.request.url);
+    if (API_HOSTS.includes(url.host)) {
+        event.respondWith(apiResponse(event.request));
+    } else {
+        event.respondWith(shellResponse(event.request));
+    }
+});
+
+// Network first so the page stays current, falling back to the cached copy offline
+async function shellResponse(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// API responses are cached with the time they were fetched. When one is served from the
+// cache instead of the network, the page reads that time from the sw-cached-at header.
+async function apiResponse(request) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && isCacheable(request)) {
+            const body = await response.clone().blob();
+            const headers = new Headers(response.headers);
+            headers.set('sw-cached-at', String(Date.now()));
+            cache.put(request, new Response(body, { status: response.status, headers }))
+                .then(() => trimApiCache(cache));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        return Response.error();
+    }
+}
+
+function isCacheable(request) {
+    const { searchParams } = new URL(request.url);
+    return !RANGE_PARAMS.some(param => searchParams.has(param));
+}
+
+// Entries are kept in the order they were stored, so the oldest go first
+async function trimApiCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.slice(0, Math.max(0, keys.length - API_CACHE_LIMIT));
+    await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+// Drops time range responses and anything older than API_CACHE_MAX_AGE, then trims to the limit
+async function pruneApiCache() {
+    const cache = await caches.open(API_CACHE);
+    const keys = await cache.keys();
+
+    await Promise.all(keys.map(async key => {
+        if (!isCacheable(key)) {
+            await cache.delete(key);
+            return;
+        }
+        const response = await cache.match(key);
+        const cachedAt = Number(response && response.headers.get('sw-cached-at'));
+        if (!cachedAt || Date.now() - cachedAt > API_CACHE_MAX_AGE) {
+            await cache.delete(key);
+        }
+    }));
+
+    await trimApiCache(cache);
+}
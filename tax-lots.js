@@ -0,0 +1,180 @@
+// Tax lots: each acquisition in the portfolio ledger becomes a lot that later disposals are
+// matched against, so realized gains can be reported per sale with their holding period.
+// Amounts are in the quote currency at the exchange rates of each transaction's date, so a
+// report comes out the same whenever it is opened.
+const taxLots = {
+    storageKey: 'taxLotMethod',
+    methods: {
+        fifo: 'FIFO',
+        lifo: 'LIFO',
+        hifo: 'HIFO',
+        average: 'Average cost'
+    },
+    defaultMethod: 'fifo',
+
+    getMethod() {
+        const saved = localStorage.getItem(this.storageKey);
+        return this.methods[saved] ? saved : this.defaultMethod;
+    },
+
+    setMethod(method) {
+        localStorage.setItem(this.storageKey, method);
+    },
+
+    // Held for more than a year, counted by the calendar
+    isLongTerm(acquired, disposed) {
+        const anniversary = new Date(acquired);
+        anniversary.setFullYear(anniversary.getFullYear() + 1);
+        return disposed > anniversary.getTime();
+    },
+
+    // The open lot to take coins from next
+    pick(lots, method) {
+        if (method === 'lifo') return lots[lots.length - 1];
+        if (method === 'hifo') {
+            return lots.reduce((highest, lot) => lot.cost / lot.amount > highest.cost / highest.amount ? lot : highest);
+        }
+        // Average cost keeps FIFO order for holding periods, at the pooled cost
+        return lots[0];
+    },
+
+    // Matches one coin's transactions, oldest first:
+    // - buys, transfers in and airdrops open lots at their price plus fee
+    // - sells are disposals, their fee coming off the proceeds
+    // - fees paid in the coin are disposals with no proceeds
+    // - transfers out close lots without a gain, since the coins are still owned
+    matchCoin(transactions, method) {
+        const lots = [];
+        const disposals = [];
+
+        portfolioLedger.sorted(transactions).forEach(transaction => {
+            const convert = value => portfolioLedger.convert(value, transaction);
+
+            if (portfolioLedger.types[transaction.type].direction > 0) {
+                lots.push({
+                    coinId: transaction.coinId,
+                    coinName: transaction.coinName,
+                    acquired: transaction.time,
+                    amount: transaction.amount,
+                    cost: transaction.amount * convert(transaction.price) + convert(transaction.fee)
+                });
+
+                if (method === 'average') {
+                    const amount = lots.reduce((total, lot) => total + lot.amount, 0);
+                    const cost = lots.reduce((total, lot) => total + lot.cost, 0);
+                    lots.forEach(lot => {
+                        lot.cost = cost * lot.amount / amount;
+                    });
+                }
+                return;
+            }
+
+            const proceeds = transaction.type === 'sell'
+                ? transaction.amount * convert(transaction.price) - convert(transaction.fee)
+                : 0;
+            let remaining = transaction.amount;
+
+            while (remaining > 1e-12 && lots.length > 0) {
+                const lot = this.pick(lots, method);
+                const amount = Math.min(remaining, lot.amount);
+                const cost = lot.cost * amount / lot.amount;
+
+                if (transaction.type !== 'transfer_out') {
+                    const share = proceeds * amount / transaction.amount;
+                    disposals.push({
+                        coinId: transaction.coinId,
+                        coinName: transaction.coinName,
+                        type: transaction.type,
+                        acquired: lot.acquired,
+                        disposed: transaction.time,
+                        amount,
+                        proceeds: share,
+                        cost,
+                        gain: share - cost,
+                        longTerm: this.isLongTerm(lot.acquired, transaction.time)
+                    });
+                }
+
+                lot.amount -= amount;
+                lot.cost -= cost;
+                remaining -= amount;
+                if (lot.amount <= 1e-12) lots.splice(lots.indexOf(lot), 1);
+            }
+        });
+
+        return { lots, disposals };
+    },
+
+    // Every coin in the ledger
+    match(method = this.getMethod()) {
+        return portfolioLedger.coinIds().reduce((result, coinId) => {
+            const { lots, disposals } = this.matchCoin(portfolioLedger.forCoin(coinId), method);
+            result.lots.push(...lots);
+            result.disposals.push(...disposals);
+            return result;
+        }, { lots: [], disposals: [] });
+    },
+
+    totals(items) {
+        return items.reduce((totals, item) => {
+            const term = item.longTerm ? totals.longTerm : totals.shortTerm;
+            term.proceeds += item.proceeds;
+            term.cost += item.cost;
+            term.gain += item.gain;
+            return totals;
+        }, {
+            shortTerm: { proceeds: 0, cost: 0, gain: 0 },
+            longTerm: { proceeds: 0, cost: 0, gain: 0 }
+        });
+    },
+
+    // Years with disposals in them, newest first
+    years(disposals) {
+        return [...new Set(disposals.map(disposal => new Date(disposal.disposed).getFullYear()))].sort((a, b) => b - a);
+    },
+
+    // Realized gains of a calendar year, short-term first
+    report(disposals, year) {
+        const items = disposals
+            .filter(disposal => new Date(disposal.disposed).getFullYear() === year)
+            .sort((a, b) => a.longTerm - b.longTerm || a.disposed - b.disposed);
+        return { year, items, ...this.totals(items) };
+    },
+
+    // What the open lots would realize at current prices (coinId → price), with the holding
+    // period as of now
+    unrealized(lots, prices, now = Date.now()) {
+        return this.totals(lots
+            .filter(lot => prices[lot.coinId] !== undefined)
+            .map(lot => {
+                const proceeds = lot.amount * prices[lot.coinId];
+                return { proceeds, cost: lot.cost, gain: proceeds - lot.cost, longTerm: this.isLongTerm(lot.acquired, now) };
+            }));
+    },
+
+    // Rows laid out like Form 8949: one per lot sold, short-term (Part I) before long-term (Part II)
+    formRows(report, currency = quoteCurrency.current) {
+        const date = time => {
+            const value = new Date(time);
+            return `${String(value.getMonth() + 1).padStart(2, '0')}/${String(value.getDate()).padStart(2, '0')}/${value.getFullYear()}`;
+        };
+        const money = value => value.toFixed(2);
+
+        return report.items.map(item => ({
+            'Part': item.longTerm ? 'II (long-term)' : 'I (short-term)',
+            '(a) Description of property': `${Number(item.amount.toPrecision(12))} ${this.symbol(item)}`,
+            '(b) Date acquired': date(item.acquired),
+            '(c) Date sold or disposed of': date(item.disposed),
+            [`(d) Proceeds (${currency.toUpperCase()})`]: money(item.proceeds),
+            [`(e) Cost or other basis (${currency.toUpperCase()})`]: money(item.cost),
+            '(h) Gain or (loss)': money(item.gain)
+        }));
+    },
+
+    symbol({ coinId, coinName }) {
+        const coin = coinRegistry.get(coinId);
+        if (coin) return coin.symbol.toUpperCase();
+        const match = /\(([^)]+)\)$/.exec(coinName || '');
+        return match ? match[1] : coinName || coinId;
+    }
+};
@@ -0,0 +1,227 @@
+// Every price the app receives while it is open, streamed or polled, kept in IndexedDB as one
+// record of [time, price] ticks per coin, currency and day. Charts use the ticks wherever they
+// are denser than what the API returns.
+const tickHistory = {
+    storeName: 'ticks',
+    storageKey: 'tickRetentionDays',
+    // 0 keeps nothing and stops recording
+    retentionOptions: [0, 1, 7, 30, 90],
+    defaultRetention: 7,
+    // At most one tick per coin and currency in this time
+    minInterval: 10 * 1000,
+    flushDelay: 15 * 1000,
+    dayLength: 24 * 60 * 60 * 1000,
+
+    pending: new Map(),
+    lastTick: new Map(),
+    flushTimer: null,
+    flushing: Promise.resolve(),
+
+    init() {
+        // Ticks still in memory would be lost with the page
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flush();
+        });
+
+        this.prune().catch(error => console.error('Error pruning tick history:', error));
+    },
+
+    retentionDays() {
+        const saved = localStorage.getItem(this.storageKey);
+        return saved !== null && this.retentionOptions.includes(Number(saved)) ? Number(saved) : this.defaultRetention;
+    },
+
+    async setRetentionDays(days) {
+        localStorage.setItem(this.storageKey, String(days));
+        if (days === 0) {
+            this.pending.clear();
+        }
+        await this.prune();
+        this.notify();
+    },
+
+    // Oldest time still kept
+    cutoff() {
+        return Date.now() - this.retentionDays() * this.dayLength;
+    },
+
+    recordKey(coinId, vsCurrency, day) {
+        return `${coinId}:${vsCurrency}:${day}`;
+    },
+
+    record(coinId, vsCurrency, time, price) {
+        if (this.retentionDays() === 0 || !(price > 0) || !time) return;
+
+        const series = `${coinId}:${vsCurrency}`;
+        const last = this.lastTick.get(series);
+        if (last && time - last < this.minInterval) return;
+        this.lastTick.set(series, time);
+
+        const day = Math.floor(time / this.dayLength);
+        const key = this.recordKey(coinId, vsCurrency, day);
+        if (!this.pending.has(key)) {
+            this.pending.set(key, { key, coinId, vsCurrency, day, ticks: [] });
+        }
+        this.pending.get(key).ticks.push([time, price]);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    },
+
+    // Polled prices come per currency, with the provider's own update time when it has one
+    recordPrices(data, vsCurrencies, time = Date.now()) {
+        Object.entries(data).forEach(([coinId, values]) => {
+            const updatedAt = values.last_updated_at ? values.last_updated_at * 1000 : time;
+            vsCurrencies.forEach(currency => {
+                if (typeof values[currency] === 'number') {
+                    this.record(coinId, currency, updatedAt, values[currency]);
+                }
+            });
+        });
+    },
+
+    // Flushes run one after another, since two at once could both read a day record and the
+    // later write would drop the other's ticks
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.flushing = this.flushing.then(() => this.write());
+        return this.flushing;
+    },
+
+    // Appends the ticks in memory to their stored day records
+    async write() {
+        if (this.pending.size === 0) return;
+
+        const records = [...this.pending.values()];
+        this.pending.clear();
+
+        for (const record of records) {
+            try {
+                const stored = await localDb.get(this.storeName, record.key);
+                const ticks = stored ? this.combine(stored.ticks, record.ticks) : record.ticks;
+                await localDb.put(this.storeName, { ...record, ticks });
+            } catch (error) {
+                console.error('Error saving tick history:', error);
+            }
+        }
+    },
+
+    combine(existing, incoming) {
+        const byTime = new Map(existing.map(tick => [tick[0], tick]));
+        incoming.forEach(tick => byTime.set(tick[0], tick));
+        return [...byTime.values()].sort((a, b) => a[0] - b[0]);
+    },
+
+    // Stored and not yet stored ticks inside a window
+    async getRange(coinId, vsCurrency, from, to) {
+        const start = Math.max(from, this.cutoff());
+        if (start > to) return [];
+
+        const keys = [];
+        for (let day = Math.floor(start / this.dayLength); day <= Math.floor(to / this.dayLength); day++) {
+            keys.push(this.recordKey(coinId, vsCurrency, day));
+        }
+
+        const stored = await Promise.all(keys.map(key => localDb.get(this.storeName, key).catch(() => null)));
+        return keys.reduce((ticks, key, index) => {
+            const pending = this.pending.get(key);
+            return this.combine(ticks, [
+                ...(stored[index] ? stored[index].ticks : []),
+                ...(pending ? pending.ticks : [])
+            ]);
+        }, []).filter(([time]) => time >= start && time <= to);
+    },
+
+    // Adds the ticks to a chartHistory series. In every API interval with more ticks than API
+    // points the ticks take over, thinned to a twelfth of the interval; elsewhere the API points
+    // stay. Market caps and volumes are resampled at the new times so every field still lines
+    // up with prices.
+    async mergeInto(series, { coinId, vsCurrency, from, to, interval }) {
+        let ticks;
+        try {
+            ticks = await this.getRange(coinId, vsCurrency, from, to);
+        } catch (error) {
+            console.error('Tick history unavailable:', error);
+            return series;
+        }
+        if (ticks.length === 0) return series;
+
+        const resolution = Math.max(this.minInterval, interval / 12);
+        const sampled = chartHistory.mergePoints([], ticks, resolution);
+
+        const bucketOf = ([time]) => Math.floor(time / interval);
+        const count = points => points.reduce((counts, point) => {
+            counts.set(bucketOf(point), (counts.get(bucketOf(point)) || 0) + 1);
+            return counts;
+        }, new Map());
+        const apiCounts = count(series.prices);
+        const tickCounts = count(sampled);
+        const denser = point => (tickCounts.get(bucketOf(point)) || 0) > (apiCounts.get(bucketOf(point)) || 0);
+        if (!sampled.some(denser)) return series;
+
+        const prices = [
+            ...series.prices.filter(point => !denser(point)),
+            ...sampled.filter(denser)
+        ].sort((a, b) => a[0] - b[0]);
+
+        const times = prices.map(([time]) => time);
+        return {
+            ...series,
+            prices,
+            market_caps: this.resample(series.market_caps, times),
+            total_volumes: this.resample(series.total_volumes, times)
+        };
+    },
+
+    // The latest value at or before each time, or the first one for times before it
+    resample(points, times) {
+        if (!points || points.length === 0) return [];
+
+        let index = 0;
+        return times.map(time => {
+            while (index + 1 < points.length && points[index + 1][0] <= time) index++;
+            return [time, points[index][1]];
+        });
+    },
+
+    async prune() {
+        const firstDay = Math.floor(this.cutoff() / this.dayLength);
+        const keys = await localDb.getAllKeys(this.storeName);
+        const old = keys.filter(key => this.retentionDays() === 0 || Number(key.slice(key.lastIndexOf(':') + 1)) < firstDay);
+        if (old.length > 0) {
+            await localDb.deleteAll(this.storeName, old);
+        }
+    },
+
+    async purge() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending.clear();
+        this.lastTick.clear();
+        // A flush already writing would otherwise put its ticks back
+        await this.flushing;
+        await localDb.clear(this.storeName);
+        this.notify();
+    },
+
+    // How much is stored, for the settings panel
+    async stats() {
+        await this.flush();
+        const records = await localDb.getAll(this.storeName);
+        return {
+            ticks: records.reduce((total, record) => total + record.ticks.length, 0),
+            coins: new Set(records.map(record => record.coinId)).size,
+            since: records.length > 0 ? Math.min(...records.map(record => record.ticks[0][0])) : null
+        };
+    },
+
+    notify() {
+        document.dispatchEvent(new CustomEvent('tickHistoryChanged'));
+    }
+};
+
+// Initialize tick history
+tickHistory.init();
@@ -0,0 +1,313 @@
+// Trade history CSV exports from exchanges, read into rows the portfolio ledger can take.
+// Each format finds its header row, then turns every record into
+// { row, type, ticker, time, amount, price, fee, currency, note, importId } or
+// { row, error } for records it can't use. Tickers are mapped to coins by the importer.
+const tradeImport = {
+    // Stablecoins count as their currency
+    currencies: {
+        usd: ['USD', 'ZUSD', 'USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD'],
+        eur: ['EUR', 'ZEUR'],
+        gbp: ['GBP', 'ZGBP']
+    },
+    // Checked in order, so longer codes come before the ones they end with
+    pairQuotes: ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'ZUSD', 'ZEUR', 'ZGBP', 'USD', 'EUR', 'GBP', 'XXBT', 'XBT', 'BTC', 'XETH', 'ETH', 'BNB'],
+    tickerAliases: { XBT: 'BTC', XDG: 'DOGE' },
+    krakenLegacy: ['XXBT', 'XETH', 'XXRP', 'XLTC', 'XXLM', 'XXDG', 'XETC', 'XXMR', 'XZEC', 'XREP', 'XMLN'],
+
+    fields: {
+        date: { label: 'Date', required: true, pattern: /date|time|when/i },
+        type: { label: 'Type', pattern: /type|side|action/i },
+        asset: { label: 'Asset', required: true, pattern: /asset|coin|symbol|ticker|pair|market/i },
+        amount: { label: 'Amount', required: true, pattern: /amount|quantity|qty|vol|executed|size/i },
+        price: { label: 'Price', pattern: /price|rate/i },
+        fee: { label: 'Fee', pattern: /fee|commission/i },
+        currency: { label: 'Currency', pattern: /currency|quote/i },
+        note: { label: 'Note', pattern: /note|comment|memo|description/i }
+    },
+
+    formats: {
+        binance: {
+            label: 'Binance',
+            columns: [['Date(UTC)'], ['Pair', 'Market'], ['Side', 'Type'], ['Price']],
+            read(record, tradeImport) {
+                const pair = tradeImport.splitPair(record.Pair || record.Market);
+                // Newer exports put the coin amount in Executed and the total in Amount, with
+                // the asset written after each number
+                const amount = tradeImport.number('Executed' in record ? record.Executed : record.Amount);
+                const feeAsset = (record['Fee Coin'] || tradeImport.suffix(record.Fee)).toUpperCase();
+                const fee = tradeImport.number(record.Fee) || 0;
+                const type = tradeImport.typeFor(record.Side || record.Type);
+                // A fee taken in the coin itself changes how much of it moved: less arrives on a
+                // buy and more leaves on a sell
+                const feeInCoin = feeAsset === pair?.base;
+
+                return {
+                    type,
+                    ticker: pair?.base,
+                    quote: pair?.quote,
+                    time: tradeImport.date(record['Date(UTC)']),
+                    amount: feeInCoin ? Number((amount + (type === 'sell' ? fee : -fee)).toPrecision(12)) : amount,
+                    price: tradeImport.number(record.Price),
+                    fee: feeInCoin ? 0 : fee,
+                    feeAsset
+                };
+            }
+        },
+
+        coinbase: {
+            label: 'Coinbase',
+            columns: [['Timestamp'], ['Transaction Type'], ['Asset'], ['Quantity Transacted']],
+            read(record, tradeImport) {
+                const quote = record['Spot Price Currency'] || record['Price Currency'];
+                return {
+                    id: record.ID,
+                    type: tradeImport.typeFor(record['Transaction Type']),
+                    ticker: record.Asset,
+                    quote,
+                    time: tradeImport.date(record.Timestamp),
+                    amount: Math.abs(tradeImport.number(record['Quantity Transacted'])),
+                    price: tradeImport.number(record['Spot Price at Transaction'] || record['Price at Transaction']),
+                    fee: Math.abs(tradeImport.number(record['Fees and/or Spread'])) || 0,
+                    feeAsset: quote,
+                    note: record.Notes
+                };
+            }
+        },
+
+        kraken: {
+            label: 'Kraken',
+            columns: [['txid'], ['pair'], ['time'], ['type'], ['vol']],
+            read(record, tradeImport) {
+                const pair = tradeImport.splitPair(record.pair);
+                return {
+                    id: record.txid,
+                    type: tradeImport.typeFor(record.type),
+                    ticker: pair?.base,
+                    quote: pair?.quote,
+                    time: tradeImport.date(record.time),
+                    amount: tradeImport.number(record.vol),
+                    price: tradeImport.number(record.price),
+                    fee: tradeImport.number(record.fee) || 0,
+                    feeAsset: pair?.quote
+                };
+            }
+        },
+
+        // Any CSV with a header row, its columns mapped to fields by the user
+        generic: {
+            label: 'Other (map columns)',
+            columns: [],
+            read(record, tradeImport, { mapping, currency }) {
+                const value = field => mapping[field] ? record[mapping[field]] : undefined;
+                // The asset column may hold a pair like BTC/USD
+                const pair = /[/\-_]/.test(value('asset') || '') ? tradeImport.splitPair(value('asset')) : null;
+                const quote = value('currency') || pair?.quote || currency;
+                return {
+                    type: mapping.type ? tradeImport.typeFor(value('type')) : 'buy',
+                    ticker: pair ? pair.base : value('asset'),
+                    quote,
+                    time: tradeImport.date(value('date')),
+                    amount: Math.abs(tradeImport.number(value('amount'))),
+                    price: tradeImport.number(value('price')) || 0,
+                    fee: Math.abs(tradeImport.number(value('fee'))) || 0,
+                    feeAsset: quote,
+                    note: value('note')
+                };
+            }
+        }
+    },
+
+    // RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    },
+
+    // Coinbase puts a few lines of account details above its header, so look a little way down
+    findHeader(rows, format) {
+        if (format.columns.length === 0) return rows.length > 0 ? 0 : -1;
+
+        return rows.slice(0, 20).findIndex(row => {
+            const cells = row.map(cell => cell.trim());
+            return format.columns.every(names => names.some(name => cells.includes(name)));
+        });
+    },
+
+    detect(rows) {
+        return Object.keys(this.formats).find(name =>
+            name !== 'generic' && this.findHeader(rows, this.formats[name]) !== -1
+        ) || 'generic';
+    },
+
+    // The generic format's best guess at which column holds each field
+    guessMapping(headers) {
+        return Object.entries(this.fields).reduce((mapping, [field, { pattern }]) => {
+            const taken = Object.values(mapping);
+            mapping[field] = headers.find(header => pattern.test(header) && !taken.includes(header)) || '';
+            return mapping;
+        }, {});
+    },
+
+    // Header cells and the records under them as objects
+    table(rows, format) {
+        const headerIndex = this.findHeader(rows, format);
+        if (headerIndex === -1) return null;
+
+        const headers = rows[headerIndex].map(cell => cell.trim());
+        const records = rows.slice(headerIndex + 1).map((row, index) => ({
+            row: index + 1,
+            record: Object.fromEntries(headers.map((header, column) => [header, (row[column] || '').trim()]))
+        }));
+        return { headers, records };
+    },
+
+    // Every record of a file in a format, ready for mapping to coins
+    read(text, formatName, options = {}) {
+        const rows = this.parseCsv(text.replace(/^\uFEFF/, ''));
+        const format = this.formats[formatName];
+        const table = this.table(rows, format);
+        if (!table) throw new Error(`This doesn't look like a ${format.label} export`);
+
+        const seen = new Map();
+        const items = table.records.map(({ row, record }) => {
+            let trade;
+            try {
+                trade = format.read(record, this, options);
+            } catch (error) {
+                return { row, error: 'Could not read this row' };
+            }
+
+            const error = this.validate(trade);
+            if (error) return { row, error };
+
+            const ticker = this.normalizeTicker(trade.ticker);
+            const currency = this.currencyFor(trade.quote);
+            const fee = this.currencyFor(trade.feeAsset) === currency ? trade.fee : 0;
+
+            // Identical rows in one file are told apart by how many came before them, so a
+            // re-import still lines up with the first one
+            const fingerprint = [trade.time, ticker, trade.type, trade.amount, trade.price].join(':');
+            const occurrence = seen.get(fingerprint) || 0;
+            seen.set(fingerprint, occurrence + 1);
+
+            return {
+                row,
+                type: trade.type,
+                ticker,
+                time: trade.time,
+                amount: trade.amount,
+                price: trade.price || 0,
+                fee,
+                currency,
+                note: [trade.note, fee !== trade.fee && trade.fee ? `Fee of ${trade.fee} ${trade.feeAsset} not counted` : '']
+                    .filter(Boolean).join(' · '),
+                importId: trade.id ? `${formatName}:${trade.id}` : `${formatName}:${fingerprint}:${occurrence}`
+            };
+        });
+
+        return { headers: table.headers, items };
+    },
+
+    validate(trade) {
+        if (!trade.type) return 'Unsupported transaction type';
+        if (!trade.ticker) return 'No asset';
+        if (this.isFiat(trade.ticker)) return 'Cash movement, not a trade';
+        if (isNaN(trade.time)) return 'Unreadable date';
+        if (trade.time > Date.now()) return 'Date is in the future';
+        if (!(trade.amount > 0)) return 'No amount';
+        if (['buy', 'sell'].includes(trade.type) && !(trade.price > 0)) return 'No price';
+        if (!this.currencyFor(trade.quote)) return `Prices in ${trade.quote || 'an unknown currency'} aren't supported`;
+        return null;
+    },
+
+    typeFor(value) {
+        const text = String(value || '').toLowerCase();
+        if (/airdrop|reward|income|staking|interest|earn/.test(text)) return 'airdrop';
+        if (/sell/.test(text)) return 'sell';
+        if (/buy/.test(text)) return 'buy';
+        if (/fee/.test(text)) return 'fee';
+        if (/withdraw|send|sent|transfer.?out/.test(text)) return 'transfer_out';
+        if (/deposit|receive|transfer.?in/.test(text)) return 'transfer_in';
+        return null;
+    },
+
+    // '$1,234.56', '0.001BTC' and '-2' all read as numbers
+    number(value) {
+        const match = String(value ?? '').replace(/[,\s]/g, '').match(/-?\d*\.?\d+(e-?\d+)?/i);
+        return match ? Number(match[0]) : NaN;
+    },
+
+    // The asset written after an amount, e.g. BTC in 0.001BTC
+    suffix(value) {
+        return String(value || '').replace(/^[-\d.,\s]+/, '');
+    },
+
+    // Exports without a zone are in UTC
+    date(value) {
+        const text = String(value || '').trim().replace(/ UTC$/, 'Z');
+        if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+            return Date.parse(`${text.replace(' ', 'T')}Z`);
+        }
+        return Date.parse(text);
+    },
+
+    splitPair(value) {
+        const pair = String(value || '').toUpperCase();
+        const parts = pair.split(/[/\-_]/);
+        if (parts.length === 2) return { base: parts[0], quote: parts[1] };
+
+        const quote = this.pairQuotes.find(code => pair.endsWith(code) && pair.length > code.length);
+        return quote ? { base: pair.slice(0, -quote.length), quote } : null;
+    },
+
+    // Kraken writes its older coins as XXBT, XETH and so on
+    normalizeTicker(ticker) {
+        let symbol = String(ticker).toUpperCase();
+        if (this.krakenLegacy.includes(symbol)) symbol = symbol.slice(1);
+        return this.tickerAliases[symbol] || symbol;
+    },
+
+    currencyFor(code) {
+        const upper = String(code || '').toUpperCase();
+        return Object.keys(this.currencies).find(currency => this.currencies[currency].includes(upper)) || null;
+    },
+
+    isFiat(ticker) {
+        return ['USD', 'EUR', 'GBP', 'ZUSD', 'ZEUR', 'ZGBP'].includes(String(ticker).toUpperCase());
+    }
+};
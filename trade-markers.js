@@ -0,0 +1,99 @@
+// Buys and sells from the portfolio ledger marked on the price chart, with the average cost of
+// what is still held as a dashed line. Trades keep the currency they were entered in.
+const tradeMarkers = {
+    size: 7,
+    sides: ['buy', 'sell'],
+
+    // Every ledger transaction counts towards the average cost, not just the marked ones
+    averageCost(trades) {
+        return portfolioLedger.position(trades).averageCost;
+    },
+
+    // Paints the markers onto a chart with a 'price' axis and remembers where each one went, for
+    // hit testing. Buys point up from below the price, sells down from above it.
+    draw(chart, trades, hovered) {
+        const { ctx, chartArea, scales } = chart;
+        const style = getComputedStyle(document.documentElement);
+        const textColor = style.getPropertyValue('--text-color').trim();
+        const cardBg = style.getPropertyValue('--card-bg').trim();
+        const colors = {
+            buy: style.getPropertyValue('--success-color').trim(),
+            sell: style.getPropertyValue('--error-color').trim()
+        };
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        ctx.font = '12px Poppins, sans-serif';
+
+        const averageCost = this.averageCost(trades);
+        const y = averageCost === null ? NaN : scales.price.getPixelForValue(averageCost);
+        if (!isNaN(y)) {
+            ctx.strokeStyle = textColor;
+            ctx.globalAlpha = 0.6;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(chartArea.left, y);
+            ctx.lineTo(chartArea.right, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+
+            const label = `Avg cost ${quoteCurrency.format(averageCost)}`;
+            const width = ctx.measureText(label).width + 8;
+            ctx.fillStyle = cardBg;
+            ctx.fillRect(chartArea.left, y - 9, width, 18);
+            ctx.strokeRect(chartArea.left, y - 9, width, 18);
+            ctx.fillStyle = textColor;
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, chartArea.left + 4, y);
+        }
+
+        chart.tradeMarkers = [];
+        trades.filter(trade => this.sides.includes(trade.side)).forEach(trade => {
+            const x = scales.x.getPixelForValue(trade.time);
+            const priceY = scales.price.getPixelForValue(portfolioLedger.convert(trade.price, trade));
+            if (isNaN(x) || isNaN(priceY) || x < chartArea.left || x > chartArea.right) return;
+
+            const size = hovered && trade.id === hovered.id ? this.size + 3 : this.size;
+            const direction = trade.side === 'buy' ? 1 : -1;
+            const tip = priceY + direction * 3;
+
+            ctx.fillStyle = colors[trade.side];
+            ctx.strokeStyle = cardBg;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x, tip);
+            ctx.lineTo(x - size, tip + direction * size * 1.6);
+            ctx.lineTo(x + size, tip + direction * size * 1.6);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+
+            chart.tradeMarkers.push({ trade, x, y: tip + direction * size * 0.8 });
+        });
+
+        ctx.restore();
+    },
+
+    // The marker under a point on the chart, if any
+    at(chart, x, y) {
+        return (chart.tradeMarkers || []).find(marker =>
+            Math.abs(marker.x - x) <= this.size + 2 && Math.abs(marker.y - y) <= this.size + 4
+        ) || null;
+    },
+
+    describe(trade) {
+        const coin = trade.coinName || trade.coinId;
+        const lines = [
+            `${trade.side === 'buy' ? 'Bought' : 'Sold'} ${coin}`,
+            new Date(trade.time).toLocaleString(),
+            `${trade.amount} at ${quoteCurrency.format(trade.price, { currency: trade.currency })}`,
+            `Total ${quoteCurrency.format(trade.amount * trade.price, { currency: trade.currency })}`
+        ];
+        if (trade.fee) lines.push(`Fee ${quoteCurrency.format(trade.fee, { currency: trade.currency })}`);
+        if (trade.note) lines.push(trade.note);
+        return lines;
+    }
+};